@@ -0,0 +1,64 @@
+// Shared aggregations over transactions
+
+// Spend and points per category: { [category]: { amount, points, count } }
+export function aggregateByCategory(transactions) {
+    const categories = {}
+    transactions.forEach(t => {
+        if (!categories[t.category]) {
+            categories[t.category] = { amount: 0, points: 0, count: 0 }
+        }
+        categories[t.category].amount += t.amount
+        categories[t.category].points += (t.points || 0)
+        categories[t.category].count += 1
+    })
+    return categories
+}
+
+// Spend and points per tag: { [tag]: { amount, points, count } }. A
+// transaction with several tags counts towards each of them.
+export function aggregateByTag(transactions) {
+    const tags = {}
+    transactions.forEach(t => {
+        (t.tags || []).forEach(tag => {
+            if (!tags[tag]) {
+                tags[tag] = { amount: 0, points: 0, count: 0 }
+            }
+            tags[tag].amount += t.amount
+            tags[tag].points += (t.points || 0)
+            tags[tag].count += 1
+        })
+    })
+    return tags
+}
+
+// Spend and base points for a list of transactions
+export function sumTransactions(transactions) {
+    return transactions.reduce((totals, t) => ({
+        amount: totals.amount + t.amount,
+        points: totals.points + (t.points || 0)
+    }), { amount: 0, points: 0 })
+}
+
+// Spend and base points per calendar month: { [YYYY-MM]: { amount, points, count } }
+export function aggregateByMonth(transactions) {
+    const months = {}
+    transactions.forEach(t => {
+        const month = t.date.slice(0, 7)
+        if (!months[month]) {
+            months[month] = { amount: 0, points: 0, count: 0 }
+        }
+        months[month].amount += t.amount
+        months[month].points += (t.points || 0)
+        months[month].count += 1
+    })
+    return months
+}
+
+// The `count` months up to and including `endMonth` (YYYY-MM), oldest first
+export function getMonthRange(count, endMonth) {
+    const [year, month] = endMonth.split('-').map(Number)
+    return Array.from({ length: count }, (_, i) => {
+        const date = new Date(year, month - count + i, 1)
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+    })
+}
@@ -2,64 +2,156 @@
 import {
     addTransaction as dbAddTransaction,
     deleteTransaction as dbDeleteTransaction,
+    updateTransaction as dbUpdateTransaction,
     clearAllTransactions,
-    importTransactions,
     subscribeToTransactions,
+    subscribeToLedger,
     onSyncStatusChange,
-    getLocalTransactions
+    onLocalChange,
+    getSyncStates,
+    getLocalTransactions,
+    getLocalLedger,
+    loadSettings,
+    setAccount,
+    migrateTransactions
 } from './db.js'
 import { isFirebaseConfigured } from './firebase.js'
-
-// Card configuration
-export const CARDS = {
-    metal: {
-        name: 'Charge Metal',
-        pointsPerRupee: 1 / 40,
-        internationalMultiplier: 3,
-        gyftrMultiplier: 5,
-        noPointsCategories: ['fuel', 'insurance', 'utilities']
-    },
-    travel: {
-        name: 'Platinum Travel',
-        pointsPerRupee: 1 / 50,
-        internationalMultiplier: 1,
-        gyftrMultiplier: 3,
-        noPointsCategories: ['fuel', 'insurance', 'utilities'],
-        milestones: [
-            { spend: 190000, bonusPoints: 15000 },
-            { spend: 400000, bonusPoints: 25000 }
-        ]
-    }
-}
+import { CATEGORIES, formatCategory, formatDate, formatRupees, formatWriteResult, escapeHtml } from './format.js'
+import { setupStatementImport } from './importer.js'
+import {
+    getCardYear,
+    getCardYears,
+    isInCardYear,
+    formatCardYear,
+    getMilestoneStatus,
+    todayString
+} from './milestones.js'
+import {
+    CARDS,
+    calculatePoints,
+    calculateBonusPoints,
+    getMilestones,
+    getRuleVersion,
+    getCardList
+} from './rewards.js'
+import {
+    loadCardCatalog,
+    saveCardCatalog,
+    renderCardControls,
+    setupCardEditor,
+    getCardName,
+    getCardTheme,
+    getInstanceLabel,
+    getTransactionInstance,
+    describeInstance,
+    isInstanceOpen
+} from './cards.js'
+import { setupRecompute, openRecompute } from './recompute.js'
+import { getForecastWeeks, saveForecastWeeks, getRunRate, forecastMilestones } from './forecast.js'
+import { setupLedger, renderLedger, getBalances } from './ledger.js'
+import { setupReconcile, renderReconcile } from './reconcile.js'
+import { aggregateByCategory, aggregateByTag } from './aggregate.js'
+import { setupValuation, renderValuation } from './valuation.js'
+import { setupRecommender, renderRecommendation } from './recommend.js'
+import { setupConflicts, renderConflicts } from './conflicts.js'
+import { setupDuplicates } from './duplicates.js'
+import { setupTrash, renderTrash, showUndoToast, purgeExpired, isTrashed } from './trash.js'
+import { setupMigration, offerGuestData } from './migrate.js'
+import { setupBackup } from './backup.js'
+import { setupReports } from './reports.js'
+import { setupCharts, renderCharts } from './charts.js'
+import { setupBudgets, renderBudgets, checkBudgets } from './budgets.js'
+import { setupRecurring, renderRecurring, createRecurrence, generateDueTransactions } from './recurring.js'
+import {
+    setupForex,
+    renderForexReport,
+    getFormForexDetails,
+    rememberRate,
+    resetForexForm,
+    isForeign,
+    formatForeignAmount,
+    getAmountChanges
+} from './forex.js'
+import { setupMerchantRules, renderMerchantRules, learnFromTransaction, resetCategoryHint } from './merchants.js'
+import { parseTags, formatTags, getAllTags } from './tags.js'
+import {
+    setupFilters,
+    getFilter,
+    setCardFilter,
+    applyFilters,
+    hasActiveFilters,
+    getSortIndicator,
+    renderTagOptions
+} from './filters.js'
 
 // State
 let transactions = []
-let currentFilter = 'all'
+let trashedTransactions = []
+let selectedCardYears = {}
+let editDraft = null
+let ledgerEntries = []
 let unsubscribe = null
+let unsubscribeLedger = null
 
 // Initialize app
 export function initApp() {
     document.getElementById('date').valueAsDate = new Date()
+    loadCardCatalog()
+    setupFilters({ onChange: updateTransactionsList })
+    renderCardControls(getCardFilters())
     setupEventListeners()
     setupSyncStatus()
 
-    // Load initial data from localStorage while waiting for Firebase
-    transactions = getLocalTransactions()
+    // Queued writes and conflict resolutions change the local copy directly
+    onLocalChange(refreshLocalData)
+
+    // Show the local copy while waiting for Firebase
+    migrateTransactions()
+    setTransactions(getLocalTransactions())
+    ledgerEntries = getLocalLedger()
     updateDisplay()
 }
 
 // Start listening to transactions (call after auth)
-export function startTransactionSync() {
+export function startTransactionSync(user) {
     if (unsubscribe) {
         unsubscribe()
     }
 
+    // Switch to this account's local cache
+    setAccount(user.uid)
+    loadAccountData()
+
     showLoading(true)
+    const settingsLoaded = loadSettings().then(() => {
+        loadCardCatalog()
+        handleCatalogChange()
+    })
 
+    let firstSnapshot = true
     unsubscribe = subscribeToTransactions((data) => {
-        transactions = data
+        setTransactions(data)
         updateDisplay()
         showLoading(false)
+
+        // Now that the account's data is known, offer anything saved while signed out
+        if (firstSnapshot) {
+            firstSnapshot = false
+            offerGuestData()
+
+            // Add recurring entries due since the app last ran, once the
+            // account's schedules have loaded
+            settingsLoaded.then(generateDueTransactions)
+            settingsLoaded.then(purgeTrash)
+        }
+    })
+
+    if (unsubscribeLedger) {
+        unsubscribeLedger()
+    }
+    unsubscribeLedger = subscribeToLedger((data) => {
+        ledgerEntries = data
+        updateDisplay()
     })
 }
 
@@ -69,9 +161,28 @@ export function stopTransactionSync() {
         unsubscribe()
         unsubscribe = null
     }
-    // Load local data
-    transactions = getLocalTransactions()
-    updateDisplay()
+    if (unsubscribeLedger) {
+        unsubscribeLedger()
+        unsubscribeLedger = null
+    }
+    // Back to the signed-out local data
+    setAccount(null)
+    loadAccountData()
+    purgeTrash()
+
+    // Without Firebase this is where the app starts
+    if (!isFirebaseConfigured()) {
+        generateDueTransactions()
+    }
+}
+
+// Load the current account's local cache: catalog, transactions and ledger
+function loadAccountData() {
+    loadCardCatalog()
+    migrateTransactions()
+    setTransactions(getLocalTransactions())
+    ledgerEntries = getLocalLedger()
+    handleCatalogChange()
 }
 
 function showLoading(show) {
@@ -92,11 +203,17 @@ function setupSyncStatus() {
 
         switch (status) {
             case 'syncing':
-                statusEl.innerHTML = '<span class="spinner-small"></span> Syncing...'
+                statusEl.innerHTML = '<span class="spinner-small"></span> ' + (message || 'Syncing...')
                 break
             case 'synced':
                 statusEl.innerHTML = '&#10003; Synced'
                 break
+            case 'pending':
+                statusEl.innerHTML = '&#8635; ' + message
+                break
+            case 'conflict':
+                statusEl.innerHTML = '&#9888; ' + message
+                break
             case 'error':
                 statusEl.innerHTML = '&#10007; Sync error'
                 statusEl.title = message
@@ -111,26 +228,107 @@ function setupEventListeners() {
     // Form submission
     document.getElementById('transactionForm').addEventListener('submit', handleSubmit)
 
-    // Tab filtering for categories
-    document.querySelectorAll('.section').forEach(section => {
-        section.querySelectorAll('.tab').forEach(tab => {
-            tab.addEventListener('click', (e) => {
-                const parent = e.target.closest('.tabs')
-                parent.querySelectorAll('.tab').forEach(t => t.classList.remove('active'))
-                e.target.classList.add('active')
-                currentFilter = e.target.dataset.filter
-                updateDisplay()
+    // Card tabs (generated from the card catalog) - each section filters on its own
+    document.querySelectorAll('.card-tabs').forEach(tabs => {
+        tabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.tab')
+            if (!tab) return
+            tabs.querySelectorAll('.tab').forEach(t => {
+                t.classList.toggle('active', t === tab)
             })
+            setCardFilter(tabs.dataset.section, tab.dataset.filter)
+            updateDisplay()
         })
     })
 
-    // Export/Import/Clear buttons
-    document.getElementById('exportBtn')?.addEventListener('click', exportData)
-    document.getElementById('importBtn')?.addEventListener('click', () => {
-        document.getElementById('importFile').click()
+    // Card year selectors and anniversary dates
+    const cardsSummary = document.getElementById('cardsSummary')
+    cardsSummary.addEventListener('change', (e) => {
+        const cardType = e.target.closest('.card-box')?.dataset.card
+        if (!cardType) return
+
+        if (e.target.classList.contains('card-year-select')) {
+            selectedCardYears[cardType] = e.target.value
+            updateDisplay()
+        } else if (e.target.classList.contains('anniversary-input')) {
+            handleAnniversaryChange(cardType, e.target.value)
+        } else if (e.target.classList.contains('forecast-weeks')) {
+            saveForecastWeeks(parseInt(e.target.value, 10)).then(updateDisplay)
+        }
+    })
+
+    setupCardEditor({
+        getTransactions: () => transactions,
+        onCatalogChange: handleCatalogChange,
+        // Offer to recompute stored points when the rules changed
+        onCatalogSaved: () => openRecompute(true)
+    })
+    setupRecompute({
+        getTransactions: () => transactions,
+        onApplied: refreshLocalData
+    })
+    setupLedger({
+        getData: () => ({ transactions, entries: ledgerEntries }),
+        onChange: refreshLocalData
+    })
+    setupReconcile({
+        getData: () => ({ transactions, entries: ledgerEntries }),
+        onChange: refreshLocalData
+    })
+    setupValuation({
+        getTransactions: () => transactions
+    })
+    setupCharts({
+        getTransactions: () => transactions
+    })
+    setupForex({
+        getTransactions: () => transactions
+    })
+    setupMerchantRules({
+        getTransactions: () => transactions
+    })
+    setupBudgets({
+        getTransactions: () => transactions
+    })
+    setupRecurring({
+        // Trashed entries count as added, so they are not generated again
+        getAllTransactions: getLocalTransactions,
+        onChange: refreshLocalData
     })
-    document.getElementById('importFile')?.addEventListener('change', handleImport)
+    setupConflicts()
+    setupMigration({
+        getAccountData: () => ({ transactions: getLocalTransactions(), entries: ledgerEntries }),
+        onChange: loadAccountData
+    })
+    setupTrash({
+        getTrash: () => trashedTransactions,
+        onChange: refreshLocalData
+    })
+    setupDuplicates({
+        getTransactions: () => transactions,
+        getTrashed: () => trashedTransactions,
+        onChange: refreshLocalData
+    })
+    setupRecommender({
+        getTransactions: () => transactions,
+        onLogged: refreshLocalData
+    })
+
+    setupBackup({
+        getTransactions: () => transactions,
+        getTrashed: () => trashedTransactions,
+        getLedger: () => ledgerEntries
+    })
+    setupReports({
+        getTransactions: () => transactions,
+        getFilter: () => getFilter('transactions').card,
+        getCardSummary
+    })
+
+    // Clear button
     document.getElementById('clearBtn')?.addEventListener('click', handleClearAll)
+
+    setupStatementImport()
 }
 
 async function handleSubmit(e) {
@@ -138,12 +336,19 @@ async function handleSubmit(e) {
 
     const transaction = {
         card: document.getElementById('card').value,
+        cardInstance: document.getElementById('cardInstance').value || null,
         amount: parseFloat(document.getElementById('amount').value),
         category: document.getElementById('category').value,
         date: document.getElementById('date').value,
         description: document.getElementById('description').value
     }
 
+    const tags = parseTags(document.getElementById('tags').value)
+    if (tags.length) transaction.tags = tags
+
+    // Foreign-currency spend: the rupee amount comes from the foreign amount and rate
+    Object.assign(transaction, getFormForexDetails(transaction.card))
+
     // Calculate points
     transaction.points = calculatePoints(transaction)
 
@@ -151,8 +356,20 @@ async function handleSubmit(e) {
     const submitBtn = e.target.querySelector('button[type="submit"]')
     submitBtn.disabled = true
 
+    // Warn before the new spend is counted in the budgets
+    checkBudgets(transaction)
+
+    // Repeating transactions are added by their schedule, starting with this date
+    const repeat = document.getElementById('repeat').value
+
     try {
-        await dbAddTransaction(transaction)
+        if (repeat) {
+            await createRecurrence(transaction, repeat)
+        } else {
+            await dbAddTransaction(transaction)
+        }
+        await rememberRate(transaction)
+        await learnFromTransaction(transaction)
     } catch (error) {
         console.error('Error adding transaction:', error)
     } finally {
@@ -162,89 +379,249 @@ async function handleSubmit(e) {
     // Reset form
     document.getElementById('amount').value = ''
     document.getElementById('description').value = ''
+    document.getElementById('tags').value = ''
+    document.getElementById('repeat').value = ''
+    resetForexForm()
+    resetCategoryHint()
     document.getElementById('amount').focus()
 }
 
-export function calculatePoints(transaction) {
-    const card = CARDS[transaction.card]
+// Split loaded transactions into active ones and the trash
+function setTransactions(all) {
+    transactions = all.filter(t => !isTrashed(t))
+    trashedTransactions = all.filter(isTrashed)
+}
 
-    // No points for excluded categories
-    if (card.noPointsCategories.includes(transaction.category)) {
-        return 0
-    }
+// Purge the trash past its retention period - once per load, after the
+// account's settings are in so its own retention period applies
+function purgeTrash() {
+    purgeExpired().catch(error => console.error('Error purging trash:', error))
+}
+
+// Re-read the local copy after writes - it holds the server data with any
+// queued writes applied
+function refreshLocalData() {
+    setTransactions(getLocalTransactions())
+    ledgerEntries = getLocalLedger()
+    updateDisplay()
+}
 
-    let multiplier = 1
-    if (transaction.category === 'international') {
-        multiplier = card.internationalMultiplier
-    } else if (transaction.category === 'gyftr') {
-        multiplier = card.gyftrMultiplier
+// Selected card tab per section
+function getCardFilters() {
+    return {
+        breakdown: getFilter('breakdown').card,
+        transactions: getFilter('transactions').card
     }
+}
 
-    return Math.floor(transaction.amount * card.pointsPerRupee * multiplier)
+// Re-render everything generated from the card catalog
+function handleCatalogChange() {
+    Object.entries(getCardFilters()).forEach(([section, card]) => {
+        if (card !== 'all' && !CARDS[card]) setCardFilter(section, 'all')
+    })
+    renderCardControls(getCardFilters())
+    updateDisplay()
 }
 
-function calculateMilestoneBonus(cardType) {
-    if (cardType !== 'travel') return 0
+function getAnniversary(cardType) {
+    return CARDS[cardType]?.anniversary || null
+}
 
-    const card = CARDS.travel
-    const totalSpend = transactions
-        .filter(t => t.card === 'travel')
-        .reduce((sum, t) => sum + t.amount, 0)
+// Membership year picked in the card's year selector (null for all time)
+function getSelectedCardYear(cardType) {
+    if (selectedCardYears[cardType] === 'all') return null
 
-    let bonus = 0
-    for (const milestone of card.milestones) {
-        if (totalSpend >= milestone.spend) {
-            bonus = milestone.bonusPoints
-        }
-    }
-    return bonus
+    const cardTx = transactions.filter(t => t.card === cardType)
+    const years = getCardYears(getAnniversary(cardType), cardTx)
+    return years.find(y => y.start === selectedCardYears[cardType]) || years[0]
+}
+
+// Bonus points (milestones, monthly transaction bonuses) for one membership
+// year, or summed over every year when no year is given - milestones reset
+// on the card anniversary
+function calculateMilestoneBonus(cardType, year = null) {
+    const cardTx = transactions.filter(t => t.card === cardType)
+    const years = year ? [year] : getCardYears(getAnniversary(cardType), cardTx)
+
+    return years.reduce((sum, y) => {
+        return sum + calculateBonusPoints(cardType, cardTx, y)
+    }, 0)
 }
 
 function updateDisplay() {
     updatePointsSummary()
     updateCategoryBreakdown()
+    renderBudgets()
+    renderCharts()
     updateTransactionsList()
+    renderLedger()
+    renderReconcile()
+    renderValuation()
+    renderForexReport()
+    renderRecommendation()
+    renderConflicts()
+    renderTrash()
+    renderRecurring()
+    renderMerchantRules()
 }
 
 function updatePointsSummary() {
-    // Metal card
-    const metalTx = transactions.filter(t => t.card === 'metal')
-    const metalPoints = metalTx.reduce((sum, t) => sum + (t.points || 0), 0)
-    const metalSpend = metalTx.reduce((sum, t) => sum + t.amount, 0)
+    const balances = getBalances(transactions, ledgerEntries)
+    Object.keys(CARDS).forEach(cardType => updateCardSummary(cardType, balances[cardType] || 0))
+}
+
+// Spend and points for a card in its selected membership year - shared by
+// the summary boxes and the printable report
+function getCardSummary(cardType) {
+    const year = getSelectedCardYear(cardType)
+    const allCardTx = transactions.filter(t => t.card === cardType)
+    const cardTx = year ? allCardTx.filter(t => isInCardYear(t, year)) : allCardTx
+
+    const basePoints = cardTx.reduce((sum, t) => sum + (t.points || 0), 0)
+    const bonusPoints = calculateMilestoneBonus(cardType, year)
+    return {
+        year,
+        allCardTx,
+        cardTx,
+        spend: cardTx.reduce((sum, t) => sum + t.amount, 0),
+        basePoints,
+        bonusPoints,
+        totalPoints: basePoints + bonusPoints
+    }
+}
+
+function updateCardSummary(cardType, balance) {
+    const card = CARDS[cardType]
+    const box = document.querySelector(`.card-box[data-card="${cardType}"]`)
+    if (!box) return
+
+    const { year, allCardTx, cardTx, spend, totalPoints } = getCardSummary(cardType)
+
+    box.querySelector('.points-display').textContent = totalPoints.toLocaleString('en-IN')
+    box.querySelector('.card-spend').textContent = '₹' + spend.toLocaleString('en-IN')
+    box.querySelector('.card-balance').textContent = balance.toLocaleString('en-IN')
 
-    document.getElementById('metalPoints').textContent = metalPoints.toLocaleString('en-IN')
-    document.getElementById('metalSpend').textContent = '₹' + metalSpend.toLocaleString('en-IN')
+    renderCardYearControls(box, cardType, allCardTx, year)
+    updateInstanceSpend(box, card, cardTx)
+    updateMonthlyBonus(box, card, allCardTx)
 
-    // Travel card
-    const travelTx = transactions.filter(t => t.card === 'travel')
-    const travelBasePoints = travelTx.reduce((sum, t) => sum + (t.points || 0), 0)
-    const travelSpend = travelTx.reduce((sum, t) => sum + t.amount, 0)
-    const milestoneBonus = calculateMilestoneBonus('travel')
-    const travelTotalPoints = travelBasePoints + milestoneBonus
+    const milestoneBox = box.querySelector('.milestone-progress')
+    if (!milestoneBox) return
 
-    document.getElementById('travelPoints').textContent = travelTotalPoints.toLocaleString('en-IN')
-    document.getElementById('travelSpend').textContent = '₹' + travelSpend.toLocaleString('en-IN')
+    // Milestone progress - only meaningful within a membership year
+    const milestones = year ? getMilestones(card, year.start) : []
+    milestoneBox.classList.toggle('hidden', milestones.length === 0)
+    if (milestones.length === 0) return
 
-    // Milestone progress
-    const milestoneTarget = 190000
-    const progress = Math.min((travelSpend / milestoneTarget) * 100, 100)
-    document.getElementById('milestoneProgress').textContent = '₹' + travelSpend.toLocaleString('en-IN')
-    document.getElementById('milestoneFill').style.width = progress + '%'
+    const { bonus, next } = getMilestoneStatus(milestones, spend)
+    const target = next || milestones[milestones.length - 1]
+    const progress = Math.min((spend / target.spend) * 100, 100)
+
+    box.querySelector('.milestone-current').textContent = '₹' + spend.toLocaleString('en-IN')
+    box.querySelector('.milestone-target').textContent = '₹' + target.spend.toLocaleString('en-IN')
+    box.querySelector('.milestone-fill').style.width = progress + '%'
+    box.querySelector('.milestone-bonus').textContent = next
+        ? (bonus ? `${bonus.toLocaleString('en-IN')} bonus pts earned · ` : '') +
+          `${next.bonusPoints.toLocaleString('en-IN')} pts at ₹${next.spend.toLocaleString('en-IN')}`
+        : `All milestones achieved · ${bonus.toLocaleString('en-IN')} bonus pts`
+
+    updateMilestoneForecast(box, cardType, allCardTx, year, milestones, spend)
+}
+
+// Spend per card for accounts with add-on or replacement cards - it all
+// counts towards the account's points and milestones
+function updateInstanceSpend(box, card, cardTx) {
+    const container = box.querySelector('.card-instances')
+    if (card.instances.length < 2) {
+        container.innerHTML = ''
+        return
+    }
+
+    container.innerHTML = card.instances.map(instance => {
+        const spend = cardTx
+            .filter(t => getTransactionInstance(t)?.id === instance.id)
+            .reduce((sum, t) => sum + t.amount, 0)
+        return `<div class="milestone-text">${escapeHtml(describeInstance(instance))}${isInstanceOpen(instance) ? '' : ' (closed)'}: ₹${spend.toLocaleString('en-IN')}</div>`
+    }).join('')
+}
+
+// Run-rate projection for the current membership year's milestones
+function updateMilestoneForecast(box, cardType, allCardTx, year, milestones, spend) {
+    const forecastBox = box.querySelector('.milestone-forecast')
+    const isCurrentYear = year.start === getCardYear(getAnniversary(cardType)).start
+    forecastBox.classList.toggle('hidden', !isCurrentYear)
+    if (!isCurrentYear) return
+
+    const weeks = getForecastWeeks()
+    const dailyRate = getRunRate(allCardTx, weeks)
+    const monthlyRate = Math.round(dailyRate * 365.25 / 12)
+
+    box.querySelector('.forecast-weeks').value = weeks
+    box.querySelector('.forecast-rate').textContent = `₹${monthlyRate.toLocaleString('en-IN')}/month`
+    box.querySelector('.forecast-list').innerHTML = forecastMilestones(milestones, spend, year, dailyRate)
+        .filter(f => !f.reached)
+        .map(f => {
+            const target = `₹${f.milestone.spend.toLocaleString('en-IN')}`
+            const projection = f.projectedDate
+                ? `${f.onTrack ? 'on track for' : 'after anniversary,'} ${formatDate(f.projectedDate)} ${f.projectedDate.slice(0, 4)}`
+                : 'no recent spend'
+            const needed = f.requiredMonthly !== null
+                ? ` · need ₹${Math.round(f.requiredMonthly).toLocaleString('en-IN')}/month`
+                : ''
+            return `<div class="milestone-text forecast-item ${f.onTrack ? 'on-track' : 'behind'}">${target}: ${projection}${needed}</div>`
+        })
+        .join('')
+}
+
+// This month's progress towards monthly transaction-count bonuses
+function updateMonthlyBonus(box, card, cardTx) {
+    const el = box.querySelector('.monthly-bonus')
+    if (!el) return
+
+    const month = todayString().slice(0, 7)
+    el.innerHTML = getRuleVersion(card).rules
+        .filter(rule => rule.kind === 'monthlyCount')
+        .map(rule => {
+            const count = cardTx.filter(t => t.date.startsWith(month) && t.amount >= rule.minAmount).length
+            return count >= rule.count
+                ? `This month: ${rule.bonusPoints.toLocaleString('en-IN')} bonus pts earned`
+                : `This month: ${count}/${rule.count} txns of ₹${rule.minAmount.toLocaleString('en-IN')}+`
+        })
+        .join('<br>')
+}
+
+function renderCardYearControls(box, cardType, cardTx, selectedYear) {
+    const anniversary = getAnniversary(cardType)
+    const select = box.querySelector('.card-year-select')
+    const anniversaryInput = box.querySelector('.anniversary-input')
+
+    const years = getCardYears(anniversary, cardTx)
+    select.innerHTML = years
+        .map(y => `<option value="${y.start}">${formatCardYear(y)}</option>`)
+        .join('') + '<option value="all">All time</option>'
+    select.value = selectedYear ? selectedYear.start : 'all'
+
+    if (anniversaryInput && document.activeElement !== anniversaryInput) {
+        anniversaryInput.value = anniversary || ''
+    }
+}
+
+async function handleAnniversaryChange(cardType, value) {
+    delete selectedCardYears[cardType]
+    const cards = getCardList().map(card =>
+        card.id === cardType ? { ...card, anniversary: value || null } : card
+    )
+    await saveCardCatalog(cards)
 }
 
 function updateCategoryBreakdown() {
-    const filtered = currentFilter === 'all'
+    const { card } = getFilter('breakdown')
+    const filtered = card === 'all'
         ? transactions
-        : transactions.filter(t => t.card === currentFilter)
+        : transactions.filter(t => t.card === card)
 
-    const categories = {}
-    filtered.forEach(t => {
-        if (!categories[t.category]) {
-            categories[t.category] = { amount: 0, points: 0 }
-        }
-        categories[t.category].amount += t.amount
-        categories[t.category].points += (t.points || 0)
-    })
+    const categories = aggregateByCategory(filtered)
+    updateTagBreakdown(filtered)
 
     const container = document.getElementById('categoryBreakdown')
     if (Object.keys(categories).length === 0) {
@@ -263,15 +640,42 @@ function updateCategoryBreakdown() {
         `).join('')
 }
 
+// Totals per tag, for the same card as the category breakdown
+function updateTagBreakdown(filtered) {
+    const tags = aggregateByTag(filtered)
+    document.getElementById('tagTotals').classList.toggle('hidden', Object.keys(tags).length === 0)
+
+    document.getElementById('tagBreakdown').innerHTML = Object.entries(tags)
+        .sort((a, b) => b[1].amount - a[1].amount)
+        .map(([tag, data]) => `
+            <div class="category-item">
+                <div class="name">${escapeHtml(tag)}</div>
+                <div class="amount">₹${data.amount.toLocaleString('en-IN')}</div>
+                <div class="name">${data.count.toLocaleString('en-IN')} txns · ${data.points.toLocaleString('en-IN')} pts</div>
+            </div>
+        `).join('')
+}
+
+function renderSortHeader(field, label, align = 'left') {
+    return `<th class="sortable" data-sort="${field}" style="text-align: ${align}">${label}${getSortIndicator(field)}</th>`
+}
+
 function updateTransactionsList() {
-    const filtered = currentFilter === 'all'
-        ? transactions
-        : transactions.filter(t => t.card === currentFilter)
+    const filter = getFilter('transactions')
+    const filtered = applyFilters(transactions, filter)
+    renderTagOptions(getAllTags(transactions))
 
     const container = document.getElementById('transactionsContainer')
+    const syncStates = getSyncStates()
+    const countEl = document.getElementById('filterCount')
+    countEl.textContent = filtered.length === transactions.length
+        ? ''
+        : `Showing ${filtered.length.toLocaleString('en-IN')} of ${transactions.length.toLocaleString('en-IN')}`
 
     if (filtered.length === 0) {
-        container.innerHTML = '<div class="empty-state">No transactions yet.</div>'
+        container.innerHTML = transactions.length > 0 && (hasActiveFilters(filter) || filter.card !== 'all')
+            ? '<div class="empty-state">No transactions match these filters.</div>'
+            : '<div class="empty-state">No transactions yet.</div>'
         return
     }
 
@@ -279,52 +683,147 @@ function updateTransactionsList() {
         <table class="transactions-table">
             <thead>
                 <tr>
-                    <th>Date</th>
-                    <th>Card</th>
-                    <th>Category</th>
-                    <th>Description</th>
-                    <th style="text-align: right">Amount</th>
-                    <th style="text-align: right">Points</th>
+                    ${renderSortHeader('date', 'Date')}
+                    ${renderSortHeader('card', 'Card')}
+                    ${renderSortHeader('category', 'Category')}
+                    ${renderSortHeader('description', 'Description')}
+                    ${renderSortHeader('amount', 'Amount', 'right')}
+                    ${renderSortHeader('points', 'Points', 'right')}
                     <th></th>
                 </tr>
             </thead>
             <tbody>
-                ${filtered.map(t => `
+                ${filtered.map(t => editDraft?.id === t.id ? renderEditRow(editDraft) : `
                     <tr>
-                        <td>${formatDate(t.date)}</td>
-                        <td><span class="card-tag ${t.card}">${CARDS[t.card].name}</span></td>
+                        <td>${formatDate(t.date)}${renderSyncBadge(syncStates.get(t.id))}</td>
+                        <td><span class="card-tag ${getCardTheme(t.card)}">${escapeHtml(getCardName(t.card))}</span>${getInstanceLabel(t) ? `<span class="instance-label">${escapeHtml(getInstanceLabel(t))}</span>` : ''}</td>
                         <td><span class="category-tag ${getCategoryClass(t.category)}">${formatCategory(t.category)}</span></td>
-                        <td>${t.description || '-'}</td>
-                        <td style="text-align: right">₹${t.amount.toLocaleString('en-IN')}</td>
+                        <td>${escapeHtml(t.description) || '-'}${t.recurringId ? ' <span class="recurring-tag" title="Added by a recurring schedule">Recurring</span>' : ''}${(t.tags || []).map(tag => `<span class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show only this tag">${escapeHtml(tag)}</span>`).join('')}</td>
+                        <td style="text-align: right">₹${t.amount.toLocaleString('en-IN')}${isForeign(t) ? `<span class="foreign-amount" title="${t.forexMarkup}% markup + GST">${formatForeignAmount(t)} · fee ${formatRupees(t.forexFee)}</span>` : ''}</td>
                         <td style="text-align: right" class="points-earned ${(t.points || 0) === 0 ? 'zero' : ''}">${(t.points || 0).toLocaleString('en-IN')}</td>
-                        <td><button class="delete-btn" data-id="${t.id}"><span class="delete-icon">×</span><span class="delete-label"> Delete</span></button></td>
+                        <td class="row-actions">
+                            <button class="edit-btn" data-id="${t.id}"><span class="edit-icon">✎</span><span class="edit-label"> Edit</span></button>
+                            <button class="delete-btn" data-id="${t.id}"><span class="delete-icon">×</span><span class="delete-label"> Delete</span></button>
+                        </td>
                     </tr>
                 `).join('')}
             </tbody>
         </table>
     `
 
-    // Add delete handlers
+    // Add edit and delete handlers
+    container.querySelectorAll('.edit-btn').forEach(btn => {
+        btn.addEventListener('click', () => startEdit(btn.dataset.id))
+    })
     container.querySelectorAll('.delete-btn').forEach(btn => {
         btn.addEventListener('click', () => handleDelete(btn.dataset.id))
     })
+
+    const editRow = container.querySelector('tr.editing')
+    if (editRow) {
+        editRow.addEventListener('input', handleEditInput)
+        editRow.addEventListener('change', handleEditInput)
+        editRow.querySelector('.save-edit-btn').addEventListener('click', saveEdit)
+        editRow.querySelector('.cancel-edit-btn').addEventListener('click', cancelEdit)
+    }
 }
 
-function formatCategory(cat) {
-    const names = {
-        dining: 'Dining',
-        travel: 'Travel',
-        shopping: 'Shopping',
-        groceries: 'Groceries',
-        entertainment: 'Entertainment',
-        international: 'International',
-        gyftr: 'Gyftr Vouchers',
-        fuel: 'Fuel',
-        insurance: 'Insurance',
-        utilities: 'Utilities',
-        other: 'Other'
+// Inline edit row - points follow the card, amount, category and date
+function renderEditRow(draft) {
+    const cardOptions = getCardList()
+        .map(card => `<option value="${card.id}" ${card.id === draft.card ? 'selected' : ''}>${escapeHtml(card.name)}</option>`)
+        .join('')
+    const categoryOptions = Object.entries(CATEGORIES)
+        .map(([id, name]) => `<option value="${id}" ${id === draft.category ? 'selected' : ''}>${name}</option>`)
+        .join('')
+
+    return `
+        <tr class="editing">
+            <td><input type="date" data-field="date" value="${draft.date}" required></td>
+            <td><select data-field="card">${cardOptions}</select></td>
+            <td><select data-field="category">${categoryOptions}</select></td>
+            <td>
+                <input type="text" data-field="description" value="${escapeHtml(draft.description)}">
+                <input type="text" data-field="tags" value="${escapeHtml(draft.tags)}" placeholder="Tags, comma separated" aria-label="Tags">
+            </td>
+            <td style="text-align: right"><input type="number" data-field="amount" min="1" step="0.01" value="${draft.amount}" required></td>
+            <td style="text-align: right" class="points-earned edit-points">${calculatePoints(draft).toLocaleString('en-IN')}</td>
+            <td class="row-actions">
+                <button class="save-edit-btn">Save</button>
+                <button class="cancel-edit-btn btn-secondary">Cancel</button>
+            </td>
+        </tr>
+    `
+}
+
+function startEdit(id) {
+    const transaction = transactions.find(t => t.id === id)
+    if (!transaction) return
+
+    editDraft = {
+        id,
+        card: transaction.card,
+        amount: transaction.amount,
+        category: transaction.category,
+        date: transaction.date,
+        description: transaction.description || '',
+        tags: formatTags(transaction.tags)
+    }
+    updateTransactionsList()
+}
+
+function handleEditInput(e) {
+    const field = e.target.dataset.field
+    if (!field || !editDraft) return
+
+    editDraft[field] = field === 'amount' ? parseFloat(e.target.value) || 0 : e.target.value
+
+    const pointsCell = e.currentTarget.querySelector('.edit-points')
+    pointsCell.textContent = calculatePoints(editDraft).toLocaleString('en-IN')
+}
+
+function cancelEdit() {
+    editDraft = null
+    updateTransactionsList()
+}
+
+async function saveEdit(e) {
+    if (!editDraft.date || !(editDraft.amount > 0)) {
+        alert('Enter a date and an amount greater than zero.')
+        return
+    }
+
+    const { id, ...changes } = editDraft
+    changes.points = calculatePoints(changes)
+    changes.tags = parseTags(changes.tags)
+
+    // A transaction moved to another account counts as that account's
+    // primary card; foreign-currency spend keeps its rate and markup fee in
+    // step with the amount
+    const original = transactions.find(t => t.id === id)
+    if (original && original.card !== changes.card) {
+        changes.cardInstance = null
     }
-    return names[cat] || cat
+    if (original && original.amount !== changes.amount) {
+        Object.assign(changes, getAmountChanges(original, changes.amount))
+    }
+
+    e.target.disabled = true
+    editDraft = null
+
+    try {
+        await dbUpdateTransaction(id, changes)
+    } catch (error) {
+        console.error('Error updating transaction:', error)
+    }
+    refreshLocalData()
+    updateTransactionsList()
+}
+
+function renderSyncBadge(state) {
+    if (!state) return ''
+    const title = state === 'conflict' ? 'Sync conflict' : 'Waiting to sync'
+    return ` <span class="sync-badge ${state}" title="${title}">${state === 'conflict' ? '&#9888;' : '&#8635;'}</span>`
 }
 
 function getCategoryClass(cat) {
@@ -334,52 +833,31 @@ function getCategoryClass(cat) {
     return ''
 }
 
-function formatDate(dateStr) {
-    const date = new Date(dateStr)
-    return date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
-}
-
+// Deleting moves the transaction to the trash, with an undo toast instead
+// of a confirmation
 async function handleDelete(id) {
-    if (confirm('Delete this transaction?')) {
-        await dbDeleteTransaction(id)
-    }
-}
-
-function exportData() {
-    const data = JSON.stringify(transactions, null, 2)
-    const blob = new Blob([data], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `amex-points-${new Date().toISOString().split('T')[0]}.json`
-    a.click()
-    URL.revokeObjectURL(url)
-}
-
-async function handleImport(event) {
-    const file = event.target.files[0]
-    if (!file) return
-
-    const reader = new FileReader()
-    reader.onload = async (e) => {
-        try {
-            const imported = JSON.parse(e.target.result)
-            if (Array.isArray(imported)) {
-                const count = await importTransactions(imported)
-                alert(`Imported ${count} transactions`)
-            }
-        } catch (err) {
-            alert('Invalid file format')
+    try {
+        const result = await dbDeleteTransaction(id)
+        if (result.failed) {
+            alert(formatWriteResult(result, 'Moved to trash:'))
+            return
         }
+        showUndoToast([id])
+    } catch (error) {
+        console.error('Error deleting transaction:', error)
+        alert('Could not move the transaction to the trash. Please try again.')
     }
-    reader.readAsText(file)
-    event.target.value = ''
 }
 
 async function handleClearAll() {
-    if (confirm('Are you sure you want to delete all transactions? This cannot be undone.')) {
-        await clearAllTransactions()
-        transactions = []
-        updateDisplay()
+    if (confirm('Move all transactions to the trash? You can restore them from the trash.')) {
+        const ids = transactions.map(t => t.id)
+        const cleared = clearAllTransactions()
+        showUndoToast(ids)
+
+        const result = await cleared
+        if (result.pending || result.failed) {
+            alert(formatWriteResult(result, 'Moved to trash:'))
+        }
     }
 }
@@ -0,0 +1,411 @@
+// Backups - versioned export envelope, validation and restore
+import { getSetting, saveSetting, getSettings, importTransactions, importLedgerEntries } from './db.js'
+import { CARDS, getCardList, normalizeCard, calculatePoints } from './rewards.js'
+import { saveCardCatalog } from './cards.js'
+import { upgradeTransaction } from './migrations.js'
+import { formatWriteResult, escapeHtml } from './format.js'
+import { importWithReview } from './duplicates.js'
+import { LEDGER_TYPES } from './ledger.js'
+
+export const BACKUP_FORMAT = 'amex-points-tracker-backup'
+
+// Version of the backup envelope. Version 1 was a bare array of
+// transactions and version 2 had no ledger or trash; each step in UPGRADES
+// turns one version into the next.
+export const BACKUP_VERSION = 3
+
+// The card catalog is saved as the `cards` setting but travels separately
+const CARDS_SETTING = 'cards'
+
+// How rejected rows are labelled in the report
+const ROW_KINDS = {
+    card: 'Card',
+    transaction: 'Transaction',
+    trash: 'Trashed transaction',
+    ledger: 'Ledger entry'
+}
+
+const UPGRADES = {
+    1: (transactions) => ({
+        format: BACKUP_FORMAT,
+        version: 2,
+        exportedAt: null,
+        cards: [],
+        settings: {},
+        transactions
+    }),
+    2: (backup) => ({
+        ...backup,
+        version: 3,
+        ledger: [],
+        trash: []
+    })
+}
+
+let getTransactions = () => []
+let getTrashed = () => []
+let getLedger = () => []
+
+// State for the backup being reviewed
+let pendingBackup = null
+
+export function createBackup(transactions, cards, settings, ledger = [], trash = []) {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        cards,
+        settings: Object.fromEntries(Object.entries(settings).filter(([name]) => name !== CARDS_SETTING)),
+        transactions,
+        ledger,
+        trash
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' &&
+        /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+        !isNaN(new Date(value).getTime())
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value
+    if (typeof value !== 'string' || value.trim() === '') return NaN
+    return Number(value.replace(/[₹,\s]/g, ''))
+}
+
+// Reasons a card from a backup cannot be used (empty when it is valid)
+export function validateCard(card) {
+    if (!isPlainObject(card)) return ['Not a card record']
+    const reasons = []
+    if (typeof card.id !== 'string' || !card.id) reasons.push('Missing card id')
+    if (typeof card.name !== 'string' || !card.name) reasons.push('Missing card name')
+    const hasVersions = Array.isArray(card.versions) && card.versions.length > 0
+    const hasRules = Number(card.spendPerPoint) > 0 && Array.isArray(card.rules)
+    if (!hasVersions && !hasRules) reasons.push('Missing earn rate and rules')
+    return reasons
+}
+
+// Reasons a transaction from a backup cannot be imported (empty when it is
+// valid). `cardIds` are the cards it may belong to.
+export function validateTransaction(t, cardIds) {
+    if (!isPlainObject(t)) return ['Not a transaction record']
+
+    const reasons = []
+    if (t.id != null && typeof t.id !== 'string') reasons.push('Invalid id')
+    if (!isValidDate(t.date)) reasons.push('Missing or invalid date')
+
+    if (t.amount == null || t.amount === '') {
+        reasons.push('Missing amount')
+    } else {
+        const amount = toNumber(t.amount)
+        if (!Number.isFinite(amount)) reasons.push('Amount is not a number')
+        else if (amount <= 0) reasons.push('Amount must be more than zero')
+    }
+
+    if (!t.card) reasons.push('Missing card')
+    else if (!cardIds.has(t.card)) reasons.push(`Unknown card "${t.card}"`)
+
+    if (t.category != null && typeof t.category !== 'string') reasons.push('Invalid category')
+    if (t.description != null && typeof t.description !== 'string') reasons.push('Description is not text')
+    if (t.points != null && t.points !== '' && !Number.isFinite(toNumber(t.points))) {
+        reasons.push('Points is not a number')
+    }
+    if (t.cardInstance != null && typeof t.cardInstance !== 'string') reasons.push('Invalid card instance')
+    if (t.tags != null && !(Array.isArray(t.tags) && t.tags.every(tag => typeof tag === 'string'))) {
+        reasons.push('Tags are not a list of text')
+    }
+    if (t.originalCurrency != null) {
+        if (typeof t.originalCurrency !== 'string') reasons.push('Invalid currency')
+        if (!(typeof t.originalAmount === 'number' && t.originalAmount > 0)) reasons.push('Invalid foreign amount')
+        if (!(typeof t.exchangeRate === 'number' && t.exchangeRate > 0)) reasons.push('Invalid exchange rate')
+    }
+    return reasons
+}
+
+// Reasons a trashed transaction from a backup cannot be imported
+export function validateTrashed(t, cardIds) {
+    const reasons = validateTransaction(t, cardIds)
+    if (isPlainObject(t) && (typeof t.deletedAt !== 'string' || isNaN(new Date(t.deletedAt).getTime()))) {
+        reasons.push('Missing or invalid deletion time')
+    }
+    return reasons
+}
+
+// Reasons a ledger entry from a backup cannot be imported (empty when it is
+// valid). Adjustments are signed; redemptions store positive points.
+export function validateLedgerEntry(e, cardIds) {
+    if (!isPlainObject(e)) return ['Not a ledger record']
+
+    const reasons = []
+    if (e.id != null && typeof e.id !== 'string') reasons.push('Invalid id')
+    if (!LEDGER_TYPES[e.type]) reasons.push('Unknown ledger entry type')
+    if (!isValidDate(e.date)) reasons.push('Missing or invalid date')
+
+    if (!e.card) reasons.push('Missing card')
+    else if (!cardIds.has(e.card)) reasons.push(`Unknown card "${e.card}"`)
+
+    const points = toNumber(e.points)
+    if (!Number.isFinite(points)) reasons.push('Points is not a number')
+    else if (e.type === 'adjustment' ? points === 0 : points <= 0) reasons.push('Points must be more than zero')
+
+    if (e.partnerPoints != null && !Number.isFinite(toNumber(e.partnerPoints))) {
+        reasons.push('Partner points is not a number')
+    }
+    if (e.description != null && typeof e.description !== 'string') reasons.push('Description is not text')
+    if (e.cycle != null && !isValidDate(e.cycle)) reasons.push('Invalid statement date')
+    return reasons
+}
+
+// Transaction from a backup as it is stored. Upgrades leave current-version
+// rows alone, so amounts and points written as text (e.g. "1,000") are
+// converted here.
+function restoreTransaction(t) {
+    const upgraded = upgradeTransaction(t)
+    const restored = { ...upgraded, amount: toNumber(upgraded.amount) }
+    const points = upgraded.points == null || upgraded.points === '' ? NaN : toNumber(upgraded.points)
+    return { ...restored, points: Number.isFinite(points) ? points : calculatePoints(restored) }
+}
+
+function restoreLedgerEntry(e) {
+    const restored = { ...e, points: toNumber(e.points) }
+    if (e.partnerPoints != null) restored.partnerPoints = toNumber(e.partnerPoints)
+    return restored
+}
+
+// Upgrade a parsed backup file to the current version and validate it.
+// Throws when the file is not a backup at all; rows that fail validation
+// are returned in `rejected` as { row, kind, reasons } (rows count from 1).
+export function readBackup(data) {
+    const fromVersion = Array.isArray(data) ? 1 : data?.version
+    let backup = data
+    let version = fromVersion
+
+    if (!Array.isArray(data) && data?.format !== BACKUP_FORMAT) {
+        throw new Error('This is not an Amex Points Tracker backup')
+    }
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error('The backup has no format version')
+    }
+    if (version > BACKUP_VERSION) {
+        throw new Error(`The backup was made by a newer version of the app (format ${version})`)
+    }
+    while (version < BACKUP_VERSION) {
+        backup = UPGRADES[version](backup)
+        version = backup.version
+    }
+
+    if (!Array.isArray(backup.transactions)) {
+        throw new Error('The backup has no transactions list')
+    }
+
+    const rejected = []
+
+    const cards = []
+    ;(Array.isArray(backup.cards) ? backup.cards : []).forEach((card, i) => {
+        const reasons = validateCard(card)
+        if (reasons.length > 0) {
+            rejected.push({ row: i + 1, kind: 'card', reasons })
+        } else {
+            cards.push(normalizeCard(card))
+        }
+    })
+
+    const cardIds = new Set([...Object.keys(CARDS), ...cards.map(c => c.id)])
+    const readRows = (rows, kind, validate, restore) => {
+        const valid = []
+        ;(Array.isArray(rows) ? rows : []).forEach((row, i) => {
+            const reasons = validate(row, cardIds)
+            if (reasons.length > 0) {
+                rejected.push({ row: i + 1, kind, reasons, data: row })
+            } else {
+                valid.push(restore(row))
+            }
+        })
+        return valid
+    }
+
+    return {
+        version: fromVersion,
+        exportedAt: backup.exportedAt,
+        cards,
+        settings: isPlainObject(backup.settings) ? backup.settings : {},
+        transactions: readRows(backup.transactions, 'transaction', validateTransaction, restoreTransaction),
+        trash: readRows(backup.trash, 'trash', validateTrashed, restoreTransaction),
+        ledger: readRows(backup.ledger, 'ledger', validateLedgerEntry, restoreLedgerEntry),
+        rejected
+    }
+}
+
+export function setupBackup(options) {
+    getTransactions = options.getTransactions
+    getTrashed = options.getTrashed
+    getLedger = options.getLedger
+
+    document.getElementById('exportBtn')?.addEventListener('click', exportBackup)
+    document.getElementById('importBtn')?.addEventListener('click', () => {
+        document.getElementById('importFile').click()
+    })
+    document.getElementById('importFile')?.addEventListener('change', handleImportFile)
+    document.getElementById('backupCancelBtn')?.addEventListener('click', closeReport)
+    document.getElementById('backupImportBtn')?.addEventListener('click', handleRestore)
+}
+
+function exportBackup() {
+    const backup = createBackup(getTransactions(), getCardList(), getSettings(), getLedger(), getTrashed())
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = `amex-points-${new Date().toISOString().split('T')[0]}.json`
+    a.click()
+    URL.revokeObjectURL(url)
+}
+
+function handleImportFile(event) {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (e) => {
+        let data
+        try {
+            data = JSON.parse(e.target.result)
+        } catch {
+            alert('Invalid file format - this file is not JSON')
+            return
+        }
+
+        try {
+            pendingBackup = readBackup(data)
+        } catch (error) {
+            alert(`Cannot import this file: ${error.message}`)
+            return
+        }
+
+        if (pendingBackup.rejected.length > 0) {
+            renderReport()
+        } else {
+            handleRestore()
+        }
+    }
+    reader.readAsText(file)
+}
+
+// Cards and settings from the backup that this device does not have yet
+function getNewConfiguration(backup) {
+    return {
+        cards: backup.cards.filter(card => !CARDS[card.id]),
+        settings: Object.entries(backup.settings).filter(([name]) => getSetting(name) === null)
+    }
+}
+
+function describeRow(data) {
+    if (!isPlainObject(data)) return escapeHtml(JSON.stringify(data))
+    return [data.date, data.card, data.amount ?? data.points, data.description]
+        .filter(value => value != null && value !== '')
+        .map(value => escapeHtml(typeof value === 'string' ? value : JSON.stringify(value)))
+        .join(' · ') || '-'
+}
+
+// Transaction, trash and ledger rows that passed validation
+function countValidRows(backup) {
+    return backup.transactions.length + backup.trash.length + backup.ledger.length
+}
+
+function renderReport() {
+    const { rejected } = pendingBackup
+    const valid = countValidRows(pendingBackup)
+    const total = valid + rejected.filter(r => r.kind !== 'card').length
+
+    document.getElementById('backupSummary').textContent =
+        `${rejected.length.toLocaleString('en-IN')} rows in this backup cannot be imported. ` +
+        `${valid.toLocaleString('en-IN')} of ${total.toLocaleString('en-IN')} transactions and ledger entries are valid.`
+
+    document.getElementById('backupErrors').innerHTML = `
+        <table class="statement-table">
+            <thead>
+                <tr>
+                    <th>Row</th>
+                    <th>Data</th>
+                    <th>Problem</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rejected.map(r => `
+                    <tr>
+                        <td>${ROW_KINDS[r.kind]} ${r.row}</td>
+                        <td>${r.kind === 'card' ? '-' : describeRow(r.data)}</td>
+                        <td>${r.reasons.map(reason => `<span class="skip-reason">${escapeHtml(reason)}</span>`).join('')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+
+    const importBtn = document.getElementById('backupImportBtn')
+    importBtn.disabled = valid === 0
+    importBtn.textContent = `Import ${valid.toLocaleString('en-IN')} valid rows`
+    document.getElementById('backupModal').classList.remove('hidden')
+}
+
+function closeReport() {
+    document.getElementById('backupModal').classList.add('hidden')
+    pendingBackup = null
+}
+
+// Restore the backup - called without awaiting from the file reader and the
+// report, so failures are reported here
+async function handleRestore() {
+    const backup = pendingBackup
+    closeReport()
+    if (!backup) return
+
+    try {
+        await restoreBackup(backup)
+    } catch (error) {
+        console.error('Error restoring backup:', error)
+        alert(`Could not import the backup: ${error.message}`)
+    }
+}
+
+async function restoreBackup(backup) {
+    // Cards and settings are saved once the import is confirmed, before the
+    // transactions so they have their cards; a cancelled review saves nothing
+    const { cards, settings } = getNewConfiguration(backup)
+    const result = await importWithReview(backup.transactions, async () => {
+        if (cards.length > 0) {
+            await saveCardCatalog([...getCardList(), ...cards])
+        }
+        for (const [name, value] of settings) {
+            await saveSetting(name, value)
+        }
+    })
+    if (result === null) return
+
+    // Ledger entries and trashed transactions this device already has are
+    // left as they are
+    const ledgerIds = new Set(getLedger().map(e => e.id))
+    const ledger = backup.ledger.filter(e => !e.id || !ledgerIds.has(e.id))
+    if (ledger.length > 0) {
+        await importLedgerEntries(ledger)
+    }
+    const transactionIds = new Set([...getTransactions(), ...getTrashed()].map(t => t.id))
+    const trash = backup.trash.filter(t => !t.id || !transactionIds.has(t.id))
+    if (trash.length > 0) {
+        await importTransactions(trash)
+    }
+
+    alert(formatWriteResult({
+        ...result,
+        rejected: backup.rejected.filter(r => r.kind !== 'card').length,
+        cardsAdded: cards.length,
+        ledgerAdded: ledger.length,
+        trashAdded: trash.length
+    }))
+}
@@ -0,0 +1,252 @@
+// Budgets - monthly spend limits per category and card, with alerts
+import { getSetting, saveSetting } from './db.js'
+import { getCardList } from './rewards.js'
+import { getCardName } from './cards.js'
+import { todayString } from './milestones.js'
+import { getMonthRange } from './aggregate.js'
+import { CATEGORIES, formatCategory, formatRupees, escapeHtml } from './format.js'
+
+const BUDGETS_SETTING = 'budgets'
+
+// Percentages of a budget that raise an alert when a transaction crosses them
+export const ALERT_THRESHOLDS = [80, 100]
+
+const ALERT_MS = 10000
+
+let getTransactions = () => []
+let summaryMonth = null
+let alertTimer = null
+
+// Budgets are { id, category, card, amount }; an empty category or 'all'
+// card covers every category or card
+export function getBudgets() {
+    return getSetting(BUDGETS_SETTING, [])
+}
+
+function saveBudgets(budgets) {
+    return saveSetting(BUDGETS_SETTING, budgets)
+}
+
+export function describeBudget(budget) {
+    const category = budget.category ? formatCategory(budget.category) : 'All categories'
+    return budget.card === 'all' ? category : `${category} · ${getCardName(budget.card)}`
+}
+
+function appliesTo(budget, t) {
+    return (!budget.category || t.category === budget.category) &&
+        (budget.card === 'all' || t.card === budget.card)
+}
+
+// Spend against a budget in a month (YYYY-MM)
+export function getBudgetSpend(budget, transactions, month) {
+    return transactions
+        .filter(t => t.date.startsWith(month) && appliesTo(budget, t))
+        .reduce((sum, t) => sum + t.amount, 0)
+}
+
+// Every budget's spend and percentage used for a month
+export function getBudgetStatus(budgets, transactions, month) {
+    return budgets.map(budget => {
+        const spend = getBudgetSpend(budget, transactions, month)
+        return {
+            budget,
+            spend,
+            percent: budget.amount ? spend / budget.amount * 100 : 0,
+            remaining: budget.amount - spend
+        }
+    })
+}
+
+// Highest threshold each budget crosses when `transaction` is added:
+// [{ budget, threshold, spend }]
+export function getCrossedThresholds(budgets, transactions, transaction) {
+    const month = transaction.date.slice(0, 7)
+    return budgets
+        .filter(budget => budget.amount > 0 && appliesTo(budget, transaction))
+        .map(budget => {
+            const before = getBudgetSpend(budget, transactions, month)
+            const after = before + transaction.amount
+            const crossed = ALERT_THRESHOLDS.filter(threshold => {
+                const limit = budget.amount * threshold / 100
+                return before < limit && after >= limit
+            })
+            return { budget, threshold: crossed[crossed.length - 1], spend: after }
+        })
+        .filter(alert => alert.threshold)
+}
+
+export function setupBudgets(options) {
+    getTransactions = options.getTransactions
+
+    const editor = document.getElementById('budgetEditor')
+    editor?.addEventListener('change', handleBudgetChange)
+    editor?.addEventListener('click', handleBudgetClick)
+    document.getElementById('budgetSummaryMonth')?.addEventListener('change', (e) => {
+        summaryMonth = e.target.value
+        renderBudgetSummary()
+    })
+    document.getElementById('budgetAlertClose')?.addEventListener('click', hideAlert)
+}
+
+// Warn when a new transaction takes a budget past 80% or 100%; call before
+// the transaction is added
+export function checkBudgets(transaction) {
+    const alerts = getCrossedThresholds(getBudgets(), getTransactions(), transaction)
+    if (alerts.length === 0) return
+
+    document.getElementById('budgetAlertMessage').innerHTML = alerts.map(a => {
+        const status = a.threshold >= 100 ? 'over budget' : `at ${a.threshold}% of budget`
+        return `<div><strong>${escapeHtml(describeBudget(a.budget))}</strong> is ${status}: ${formatRupees(Math.round(a.spend))} of ${formatRupees(a.budget.amount)}</div>`
+    }).join('')
+    const toast = document.getElementById('budgetAlert')
+    toast.classList.toggle('over', alerts.some(a => a.threshold >= 100))
+    toast.classList.remove('hidden')
+
+    clearTimeout(alertTimer)
+    alertTimer = setTimeout(hideAlert, ALERT_MS)
+}
+
+function hideAlert() {
+    document.getElementById('budgetAlert').classList.add('hidden')
+}
+
+export function renderBudgets() {
+    renderBudgetProgress()
+    renderBudgetEditor()
+    renderBudgetSummary()
+}
+
+function getStatusClass(percent) {
+    if (percent >= 100) return 'over'
+    if (percent >= ALERT_THRESHOLDS[0]) return 'warn'
+    return ''
+}
+
+// This month's progress bars
+function renderBudgetProgress() {
+    const container = document.getElementById('budgetProgress')
+    if (!container) return
+
+    const month = todayString().slice(0, 7)
+    const status = getBudgetStatus(getBudgets(), getTransactions(), month)
+    container.innerHTML = status.map(s => `
+        <div class="budget-item ${getStatusClass(s.percent)}">
+            <div class="budget-label">
+                <span>${escapeHtml(describeBudget(s.budget))}</span>
+                <span>${formatRupees(Math.round(s.spend))} / ${formatRupees(s.budget.amount)}</span>
+            </div>
+            <div class="milestone-bar">
+                <div class="milestone-fill" style="width: ${Math.min(s.percent, 100)}%"></div>
+            </div>
+        </div>
+    `).join('')
+}
+
+function renderBudgetEditor() {
+    const container = document.getElementById('budgetEditor')
+    if (!container || container.contains(document.activeElement)) return
+
+    const categoryOptions = (selected) => [['', 'All categories'], ...Object.entries(CATEGORIES)]
+        .map(([id, name]) => `<option value="${id}" ${id === selected ? 'selected' : ''}>${name}</option>`)
+        .join('')
+    const cardOptions = (selected) => [{ id: 'all', name: 'All cards' }, ...getCardList()]
+        .map(card => `<option value="${card.id}" ${card.id === selected ? 'selected' : ''}>${escapeHtml(card.name)}</option>`)
+        .join('')
+
+    const budgets = getBudgets()
+    container.innerHTML = `
+        ${budgets.length ? `
+            <table class="statement-table">
+                <thead>
+                    <tr>
+                        <th>Category</th>
+                        <th>Card</th>
+                        <th style="text-align: right">Monthly budget (₹)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${budgets.map(b => `
+                        <tr data-budget="${b.id}">
+                            <td><select data-field="category">${categoryOptions(b.category)}</select></td>
+                            <td><select data-field="card">${cardOptions(b.card)}</select></td>
+                            <td style="text-align: right"><input type="number" min="0" step="500" data-field="amount" value="${b.amount}"></td>
+                            <td><button class="delete-btn" data-action="remove-budget" title="Remove budget">×</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        <button class="btn-secondary btn-small" data-action="add-budget">+ Add budget</button>
+    `
+}
+
+async function handleBudgetChange(e) {
+    const field = e.target.dataset.field
+    const id = e.target.closest('[data-budget]')?.dataset.budget
+    if (!field || !id) return
+
+    const value = field === 'amount' ? Math.max(Number(e.target.value) || 0, 0) : e.target.value
+    await saveBudgets(getBudgets().map(b => (b.id === id ? { ...b, [field]: value } : b)))
+    renderBudgetProgress()
+    renderBudgetSummary()
+}
+
+async function handleBudgetClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action
+    if (action === 'add-budget') {
+        const budget = { id: 'budget-' + Date.now().toString(36), category: 'dining', card: 'all', amount: 15000 }
+        await saveBudgets([...getBudgets(), budget])
+    } else if (action === 'remove-budget') {
+        const id = e.target.closest('[data-budget]').dataset.budget
+        await saveBudgets(getBudgets().filter(b => b.id !== id))
+    } else {
+        return
+    }
+    document.activeElement?.blur()
+    renderBudgets()
+}
+
+// Over- and under-spent budgets for a month, last month by default
+function renderBudgetSummary() {
+    const container = document.getElementById('budgetSummary')
+    const select = document.getElementById('budgetSummaryMonth')
+    if (!container || !select) return
+
+    const budgets = getBudgets()
+    select.closest('.budget-summary').classList.toggle('hidden', budgets.length === 0)
+    if (budgets.length === 0) return
+
+    const currentMonth = todayString().slice(0, 7)
+    const months = getMonthRange(12, currentMonth).reverse()
+    summaryMonth = summaryMonth || months[1]
+    select.innerHTML = months.map(month => {
+        const [year, m] = month.split('-').map(Number)
+        const label = new Date(year, m - 1, 1).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })
+        return `<option value="${month}">${label}</option>`
+    }).join('')
+    select.value = summaryMonth
+
+    const status = getBudgetStatus(budgets, getTransactions(), summaryMonth)
+    const over = status.filter(s => s.remaining < 0).sort((a, b) => a.remaining - b.remaining)
+    const under = status.filter(s => s.remaining >= 0).sort((a, b) => b.remaining - a.remaining)
+
+    const renderList = (items, describe) => items.length
+        ? items.map(s => `<li>${escapeHtml(describeBudget(s.budget))}: ${describe(s)}</li>`).join('')
+        : '<li>None</li>'
+
+    container.innerHTML = `
+        <div>
+            <h4>Over budget</h4>
+            <ul class="budget-list over">
+                ${renderList(over, s => `${formatRupees(Math.round(-s.remaining))} over (${Math.round(s.percent)}%)`)}
+            </ul>
+        </div>
+        <div>
+            <h4>Under budget</h4>
+            <ul class="budget-list">
+                ${renderList(under, s => `${formatRupees(Math.round(s.remaining))} left (${Math.round(s.percent)}% used)`)}
+            </ul>
+        </div>
+    `
+}
@@ -0,0 +1,555 @@
+// Card catalog - persistence, generated card UI and the card editor
+import { getSetting, saveSetting } from './db.js'
+import {
+    CARDS,
+    DEFAULT_CARDS,
+    CARD_TEMPLATES,
+    RULE_KINDS,
+    RULE_FIELDS,
+    setCardCatalog,
+    getCardList,
+    getSortedVersions,
+    cardHasRuleKind,
+    normalizeCard,
+    describeCard
+} from './rewards.js'
+import { CATEGORIES, formatDate, escapeHtml } from './format.js'
+import { FORECAST_WEEKS } from './forecast.js'
+import { todayString } from './milestones.js'
+import { DEFAULT_MARKUP } from './forex.js'
+
+const CARDS_SETTING = 'cards'
+
+// Anniversaries were stored separately before cards carried their own
+const LEGACY_ANNIVERSARIES_SETTING = 'cardAnniversaries'
+
+const THEMES = ['metal', 'travel', 'mrcc', 'gold', 'custom']
+
+// Editor state
+let draftCards = []
+let editingId = null
+let editingVersion = 0
+let getTransactions = () => []
+let onCatalogChange = () => {}
+let onCatalogSaved = () => {}
+
+// Load the catalog from the settings cache (defaults for new users)
+export function loadCardCatalog() {
+    const saved = getSetting(CARDS_SETTING, null)
+    if (saved) {
+        setCardCatalog(saved)
+        return
+    }
+
+    const anniversaries = getSetting(LEGACY_ANNIVERSARIES_SETTING, {})
+    setCardCatalog(DEFAULT_CARDS.map(card => ({
+        ...structuredClone(card),
+        anniversary: anniversaries[card.id] || null
+    })))
+}
+
+export async function saveCardCatalog(cards) {
+    setCardCatalog(cards)
+    onCatalogChange()
+    return saveSetting(CARDS_SETTING, cards)
+}
+
+export function getCardName(cardId) {
+    return CARDS[cardId]?.name || cardId
+}
+
+export function getCardTheme(cardId) {
+    return CARDS[cardId]?.theme || 'custom'
+}
+
+// Each catalog card is an account - one set of rules, milestones and
+// points - holding one or more physical cards, its `instances`:
+// { id, nickname, last4, addOn, openedOn, closedOn }. Add-on cards earn
+// into the account, so transactions keep the account in `card` and the
+// card they were made with in `cardInstance`.
+export function getInstance(cardId, instanceId) {
+    return CARDS[cardId]?.instances.find(i => i.id === instanceId) || null
+}
+
+// Card a transaction was made with; transactions from before cards were
+// recorded count as the primary card's
+export function getTransactionInstance(transaction) {
+    const card = CARDS[transaction.card]
+    if (!card) return null
+    return getInstance(transaction.card, transaction.cardInstance) ||
+        card.instances.find(i => !i.addOn) ||
+        card.instances[0] ||
+        null
+}
+
+// A card can be used up to the day before its close date
+export function isInstanceOpen(instance, date = todayString()) {
+    return !instance.closedOn || instance.closedOn > date
+}
+
+export function getOpenInstances(card, date = todayString()) {
+    return card.instances.filter(i => isInstanceOpen(i, date))
+}
+
+// An account is closed once all of its cards are
+export function isCardClosed(card, date = todayString()) {
+    return getOpenInstances(card, date).length === 0
+}
+
+export function describeInstance(instance) {
+    const name = instance.nickname
+        ? `${instance.nickname}${instance.addOn ? ' (add-on)' : ''}`
+        : instance.addOn ? 'Add-on' : 'Primary'
+    return instance.last4 ? `${name} ••${instance.last4}` : name
+}
+
+// Card used, for accounts that have more than one
+export function getInstanceLabel(transaction) {
+    const card = CARDS[transaction.card]
+    if (!card || card.instances.length < 2) return ''
+    const instance = getTransactionInstance(transaction)
+    return instance ? describeInstance(instance) : ''
+}
+
+// Render everything generated from the catalog: the form's card dropdown,
+// card tabs, summary boxes and the reward info panel. `activeFilters` has
+// the selected card for each tabs section.
+export function renderCardControls(activeFilters) {
+    const cards = getCardList()
+
+    // Closed accounts are kept for their history but can't take new spend
+    const cardSelect = document.getElementById('card')
+    const selectedCard = cardSelect.value
+    const openCards = cards.filter(card => !isCardClosed(card))
+    cardSelect.innerHTML = openCards
+        .map(card => `<option value="${card.id}">${escapeHtml(card.name)}</option>`)
+        .join('')
+    if (openCards.some(card => card.id === selectedCard)) cardSelect.value = selectedCard
+    renderInstanceSelect()
+
+    document.querySelectorAll('.card-tabs').forEach(tabs => {
+        const activeFilter = activeFilters[tabs.dataset.section]
+        tabs.innerHTML = [{ id: 'all', name: 'All' }, ...cards]
+            .map(card => `<button class="tab ${card.id === activeFilter ? 'active' : ''}" data-filter="${card.id}">${escapeHtml(card.name)}</button>`)
+            .join('')
+    })
+
+    document.getElementById('cardsSummary').innerHTML = cards.map(card => `
+        <div class="card-box ${card.theme}" data-card="${card.id}">
+            <div class="card-name">AMEX ${escapeHtml(card.name.toUpperCase())}${isCardClosed(card) ? ' <span class="card-closed">Closed</span>' : ''}</div>
+            <div class="points-display">0</div>
+            <div class="points-label">Membership Rewards Points</div>
+            <div class="points-balance">Balance: <span class="card-balance">0</span> pts</div>
+            <div class="card-year">
+                <select class="card-year-select" aria-label="Card year"></select>
+                <label class="anniversary-label">Anniversary <input type="date" class="anniversary-input"></label>
+            </div>
+            <div class="spend-info">
+                Total Spend: <span class="card-spend">₹0</span>
+                <div class="card-instances"></div>
+                ${cardHasRuleKind(card, 'milestone') ? `
+                    <div class="milestone-progress">
+                        <div class="milestone-text">Milestone: <span class="milestone-current">₹0</span> / <span class="milestone-target">₹0</span></div>
+                        <div class="milestone-bar">
+                            <div class="milestone-fill" style="width: 0%"></div>
+                        </div>
+                        <div class="milestone-text milestone-bonus"></div>
+                        <div class="milestone-forecast">
+                            <div class="milestone-text">
+                                Forecast from the last
+                                <select class="forecast-weeks" aria-label="Run-rate window">
+                                    ${FORECAST_WEEKS.map(weeks => `<option value="${weeks}">${weeks} weeks</option>`).join('')}
+                                </select>
+                                · <span class="forecast-rate"></span>
+                            </div>
+                            <div class="forecast-list"></div>
+                        </div>
+                    </div>
+                ` : ''}
+                ${cardHasRuleKind(card, 'monthlyCount') ? `
+                    <div class="milestone-text monthly-bonus"></div>
+                ` : ''}
+            </div>
+        </div>
+    `).join('')
+
+    document.getElementById('rewardInfo').innerHTML = cards
+        .map(card => `<strong>${escapeHtml(card.name)}:</strong> ${escapeHtml(describeCard(card))}`)
+        .join('<br>')
+}
+
+// Open cards on the account selected in the transaction form. The picker
+// is only shown when there is more than one.
+function renderInstanceSelect() {
+    const select = document.getElementById('cardInstance')
+    if (!select) return
+
+    const card = CARDS[document.getElementById('card').value]
+    const instances = card ? getOpenInstances(card) : []
+    const selected = select.value
+    select.innerHTML = instances
+        .map(i => `<option value="${i.id}">${escapeHtml(describeInstance(i))}</option>`)
+        .join('')
+    if (instances.some(i => i.id === selected)) select.value = selected
+    document.getElementById('cardInstanceGroup').classList.toggle('hidden', instances.length < 2)
+}
+
+// Card editor modal
+export function setupCardEditor(options) {
+    getTransactions = options.getTransactions
+    onCatalogChange = options.onCatalogChange
+    onCatalogSaved = options.onCatalogSaved
+
+    document.getElementById('card')?.addEventListener('change', renderInstanceSelect)
+    document.getElementById('manageCardsBtn')?.addEventListener('click', openEditor)
+    document.getElementById('cardEditorCancelBtn')?.addEventListener('click', closeEditor)
+    document.getElementById('cardEditorSaveBtn')?.addEventListener('click', handleSave)
+
+    const modal = document.getElementById('cardEditorModal')
+    modal?.addEventListener('click', handleEditorClick)
+    modal?.addEventListener('change', handleEditorChange)
+}
+
+function openEditor() {
+    draftCards = structuredClone(getCardList())
+    selectCard(draftCards[0]?.id || null)
+    document.getElementById('cardEditorModal').classList.remove('hidden')
+}
+
+function closeEditor() {
+    document.getElementById('cardEditorModal').classList.add('hidden')
+}
+
+// Edit the card's most recent rule version by default
+function selectCard(id) {
+    editingId = id
+    const card = draftCards.find(c => c.id === id)
+    editingVersion = card ? getSortedVersions(card).length - 1 : 0
+    renderEditor()
+}
+
+function getEditingVersion(card) {
+    return getSortedVersions(card)[editingVersion]
+}
+
+function renderEditor() {
+    const card = draftCards.find(c => c.id === editingId)
+
+    document.getElementById('cardEditorList').innerHTML = `
+        ${draftCards.map(c => `
+            <button class="tab ${c.id === editingId ? 'active' : ''}" data-action="select" data-id="${c.id}">${escapeHtml(c.name)}</button>
+        `).join('')}
+        <select class="card-template-select" data-action="add">
+            <option value="">+ Add card</option>
+            ${CARD_TEMPLATES.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('')}
+            <option value="custom">Custom card</option>
+        </select>
+    `
+
+    const form = document.getElementById('cardEditorForm')
+    if (!card) {
+        form.innerHTML = '<div class="empty-state">Add a card to get started.</div>'
+        return
+    }
+
+    const versions = getSortedVersions(card)
+    const version = versions[editingVersion]
+
+    form.innerHTML = `
+        <div class="form-grid">
+            <div class="form-group">
+                <label>Card name</label>
+                <input type="text" data-card-field="name" value="${escapeHtml(card.name)}">
+            </div>
+            <div class="form-group">
+                <label>Colour</label>
+                <select data-card-field="theme">
+                    ${THEMES.map(t => `<option value="${t}" ${t === card.theme ? 'selected' : ''}>${t}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Statement closes on day</label>
+                <input type="number" min="1" max="31" step="1" data-card-field="statementDay" value="${card.statementDay || ''}" placeholder="End of month">
+            </div>
+            <div class="form-group">
+                <label>Forex markup (% + GST)</label>
+                <input type="number" min="0" step="0.1" data-card-field="forexMarkup" value="${card.forexMarkup ?? ''}" placeholder="${DEFAULT_MARKUP}">
+            </div>
+        </div>
+        <h3 class="editor-subtitle">Cards on this account</h3>
+        <table class="statement-table instance-table">
+            <thead>
+                <tr>
+                    <th>Nickname</th>
+                    <th>Last 4 digits</th>
+                    <th>Type</th>
+                    <th>Opened</th>
+                    <th>Closed</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${card.instances.map((instance, index) => `
+                    <tr data-instance="${index}">
+                        <td><input type="text" data-instance-field="nickname" value="${escapeHtml(instance.nickname)}" placeholder="${instance.addOn ? 'e.g., Asha' : 'Optional'}"></td>
+                        <td><input type="text" inputmode="numeric" maxlength="4" data-instance-field="last4" value="${escapeHtml(instance.last4)}"></td>
+                        <td>
+                            <select data-instance-field="addOn">
+                                <option value="">Primary</option>
+                                <option value="true" ${instance.addOn ? 'selected' : ''}>Add-on</option>
+                            </select>
+                        </td>
+                        <td><input type="date" data-instance-field="openedOn" value="${instance.openedOn || ''}"></td>
+                        <td><input type="date" data-instance-field="closedOn" value="${instance.closedOn || ''}"></td>
+                        <td><button class="delete-btn" data-action="remove-instance" data-instance="${index}" title="Remove card">×</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <button class="btn-secondary btn-small" data-action="add-instance">+ Add add-on card</button>
+        <h3 class="editor-subtitle">Reward rules</h3>
+        <div class="tabs version-tabs">
+            ${versions.map((v, index) => `
+                <button class="tab ${index === editingVersion ? 'active' : ''}" data-action="select-version" data-version="${index}">
+                    ${v.effectiveFrom ? `From ${formatDate(v.effectiveFrom)} ${v.effectiveFrom.slice(0, 4)}` : 'Original'}
+                </button>
+            `).join('')}
+            <button class="tab" data-action="add-version">+ New version</button>
+        </div>
+        <div class="form-grid">
+            <div class="form-group">
+                <label>Effective from</label>
+                ${version.effectiveFrom
+                    ? `<input type="date" data-version-field="effectiveFrom" value="${version.effectiveFrom}">`
+                    : '<input type="text" value="Card opening" disabled>'}
+            </div>
+            <div class="form-group">
+                <label>Spend per point (₹)</label>
+                <input type="number" min="1" step="1" data-version-field="spendPerPoint" value="${version.spendPerPoint}">
+            </div>
+        </div>
+        <div class="rule-list">
+            ${version.rules.map((rule, index) => renderRule(rule, index)).join('') || '<div class="empty-state">Base rate only</div>'}
+        </div>
+        <div class="editor-actions">
+            <select data-action="add-rule">
+                <option value="">+ Add rule</option>
+                ${Object.entries(RULE_KINDS).map(([kind, def]) => `<option value="${kind}">${def.label}</option>`).join('')}
+            </select>
+            ${versions.length > 1 && version.effectiveFrom ? '<button class="btn-secondary" data-action="remove-version">Remove version</button>' : ''}
+            <button class="btn-danger" data-action="remove-card">Remove card</button>
+        </div>
+    `
+}
+
+function renderRule(rule, index) {
+    const kind = RULE_KINDS[rule.kind]
+    if (!kind) {
+        return `<div class="rule-row"><span class="rule-kind">Unknown rule "${escapeHtml(rule.kind)}"</span></div>`
+    }
+
+    return `
+        <div class="rule-row" data-rule="${index}">
+            <span class="rule-kind">${kind.label}</span>
+            ${kind.fields.map(field => renderRuleField(rule, field)).join('')}
+            <button class="delete-btn" data-action="remove-rule" data-rule="${index}">×</button>
+        </div>
+    `
+}
+
+function renderRuleField(rule, field) {
+    const def = RULE_FIELDS[field]
+
+    if (def.type === 'categories') {
+        return `
+            <div class="rule-categories">
+                ${Object.entries(CATEGORIES).map(([id, name]) => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" data-rule-field="${field}" value="${id}" ${rule[field].includes(id) ? 'checked' : ''}> ${name}
+                    </label>
+                `).join('')}
+            </div>
+        `
+    }
+
+    return `
+        <label class="rule-field">${def.label}
+            <input type="number" min="0" step="${def.step}" data-rule-field="${field}" value="${rule[field]}">
+        </label>
+    `
+}
+
+function handleEditorClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action
+    const card = draftCards.find(c => c.id === editingId)
+
+    if (action === 'select') {
+        selectCard(e.target.dataset.id)
+    } else if (action === 'select-version') {
+        editingVersion = Number(e.target.closest('[data-version]').dataset.version)
+        renderEditor()
+    } else if (action === 'add-version') {
+        addVersion(card)
+    } else if (action === 'remove-version') {
+        const version = getEditingVersion(card)
+        card.versions = card.versions.filter(v => v !== version)
+        editingVersion = getSortedVersions(card).length - 1
+        renderEditor()
+    } else if (action === 'remove-rule') {
+        getEditingVersion(card).rules.splice(Number(e.target.dataset.rule), 1)
+        renderEditor()
+    } else if (action === 'add-instance') {
+        card.instances.push({
+            id: `${card.id}-${Date.now().toString(36)}`,
+            nickname: '',
+            last4: '',
+            addOn: true,
+            openedOn: null,
+            closedOn: null
+        })
+        renderEditor()
+    } else if (action === 'remove-instance') {
+        const instance = card.instances[Number(e.target.dataset.instance)]
+        if (card.instances.length === 1) {
+            alert('An account needs at least one card. Set a close date to keep its history, or remove the account.')
+            return
+        }
+        if (getTransactions().some(t => t.card === card.id && t.cardInstance === instance.id)) {
+            alert('This card has transactions. Set a close date instead to hide it from new entries.')
+            return
+        }
+        card.instances = card.instances.filter(i => i !== instance)
+        renderEditor()
+    } else if (action === 'remove-card') {
+        const used = getTransactions().some(t => t.card === card.id)
+        if (used) {
+            alert('This card has transactions. Delete or move them before removing the card.')
+            return
+        }
+        draftCards = draftCards.filter(c => c.id !== card.id)
+        editingId = draftCards[0]?.id || null
+        renderEditor()
+    }
+}
+
+function handleEditorChange(e) {
+    const target = e.target
+    const card = draftCards.find(c => c.id === editingId)
+    const version = card && getEditingVersion(card)
+
+    if (target.dataset.action === 'add') {
+        addCard(target.value)
+    } else if (target.dataset.action === 'add-rule') {
+        const kind = RULE_KINDS[target.value]
+        if (kind) version.rules.push({ kind: target.value, ...structuredClone(kind.defaults) })
+        renderEditor()
+    } else if (target.dataset.cardField === 'statementDay') {
+        const day = parseInt(target.value, 10)
+        card.statementDay = day >= 1 && day <= 31 ? day : null
+    } else if (target.dataset.cardField === 'forexMarkup') {
+        const markup = parseFloat(target.value)
+        card.forexMarkup = markup >= 0 ? markup : null
+    } else if (target.dataset.instanceField) {
+        const instance = card.instances[Number(target.closest('[data-instance]').dataset.instance)]
+        const field = target.dataset.instanceField
+        if (field === 'addOn') {
+            instance.addOn = target.value === 'true'
+        } else if (field === 'openedOn' || field === 'closedOn') {
+            instance[field] = target.value || null
+        } else {
+            instance[field] = target.value.trim()
+        }
+    } else if (target.dataset.cardField) {
+        card[target.dataset.cardField] = target.value
+        if (target.dataset.cardField === 'name') renderEditor()
+    } else if (target.dataset.versionField === 'spendPerPoint') {
+        version.spendPerPoint = Number(target.value) || 1
+    } else if (target.dataset.versionField === 'effectiveFrom') {
+        if (!target.value) return
+        version.effectiveFrom = target.value
+        editingVersion = getSortedVersions(card).indexOf(version)
+        renderEditor()
+    } else if (target.dataset.ruleField) {
+        const rule = version.rules[Number(target.closest('[data-rule]').dataset.rule)]
+        const field = target.dataset.ruleField
+        if (RULE_FIELDS[field].type === 'categories') {
+            rule[field] = target.checked
+                ? [...rule[field], target.value]
+                : rule[field].filter(c => c !== target.value)
+        } else {
+            rule[field] = Number(target.value) || 0
+        }
+    }
+}
+
+// A product already in the catalog (a second card of the same kind) gets
+// its own account id
+function addCard(templateId) {
+    const template = CARD_TEMPLATES.find(t => t.id === templateId)
+    const id = !template || draftCards.some(c => c.id === template.id)
+        ? 'card-' + Date.now().toString(36)
+        : template.id
+    const card = normalizeCard(template
+        ? { ...structuredClone(template), id }
+        : { id, name: 'New Card', theme: 'custom', spendPerPoint: 50, rules: [] })
+
+    card.anniversary = null
+    card.statementDay = null
+    draftCards.push(card)
+    selectCard(card.id)
+}
+
+// Start a new rule version from today, copying the latest rules
+function addVersion(card) {
+    const versions = getSortedVersions(card)
+    const latest = versions[versions.length - 1]
+    const today = todayString()
+    if (latest.effectiveFrom && latest.effectiveFrom >= today) {
+        alert('The latest version already starts today or later. Edit its date instead.')
+        return
+    }
+
+    card.versions.push({ ...structuredClone(latest), effectiveFrom: today })
+    editingVersion = versions.length
+    renderEditor()
+}
+
+async function handleSave() {
+    if (draftCards.length === 0) {
+        alert('Keep at least one card.')
+        return
+    }
+    if (draftCards.some(c => !c.name.trim())) {
+        alert('Every card needs a name.')
+        return
+    }
+    const duplicateDates = draftCards.find(c => {
+        const dates = c.versions.map(v => v.effectiveFrom)
+        return new Set(dates).size !== dates.length
+    })
+    if (duplicateDates) {
+        alert(`${duplicateDates.name} has two rule versions starting on the same date.`)
+        return
+    }
+    for (const card of draftCards) {
+        const invalid = card.instances.find(i => i.last4 && !/^\d{4}$/.test(i.last4))
+        if (invalid) {
+            alert(`${card.name}: the last 4 digits should be four numbers.`)
+            return
+        }
+        if (card.instances.some(i => i.openedOn && i.closedOn && i.closedOn < i.openedOn)) {
+            alert(`${card.name} has a card closed before it was opened.`)
+            return
+        }
+    }
+
+    const saveBtn = document.getElementById('cardEditorSaveBtn')
+    saveBtn.disabled = true
+    try {
+        await saveCardCatalog(draftCards)
+        closeEditor()
+        onCatalogSaved()
+    } finally {
+        saveBtn.disabled = false
+    }
+}
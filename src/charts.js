@@ -0,0 +1,351 @@
+// Trend charts - monthly spend and points, category mix, milestone progress
+// and month-over-month changes, drawn as inline SVG
+import { getCardList, getMilestones } from './rewards.js'
+import { getBonusEvents } from './ledger.js'
+import { getCardYear, isInCardYear, formatCardYear, todayString } from './milestones.js'
+import { aggregateByMonth, getMonthRange } from './aggregate.js'
+import { CATEGORIES, formatCategory, formatDate, escapeHtml } from './format.js'
+
+export const CHART_MONTHS = [6, 12, 24]
+
+const THEME_COLORS = {
+    metal: '#c0c0c0',
+    travel: '#f4d03f',
+    mrcc: '#4dabf7',
+    gold: '#e69138',
+    custom: '#b57edc'
+}
+
+const CATEGORY_COLORS = {
+    dining: '#ff6b6b',
+    travel: '#4dabf7',
+    shopping: '#f4d03f',
+    groceries: '#51cf66',
+    entertainment: '#cc5de8',
+    international: '#22b8cf',
+    gyftr: '#e69138',
+    fuel: '#868e96',
+    insurance: '#adb5bd',
+    utilities: '#495057',
+    other: '#ced4da'
+}
+
+// Chart area in SVG units
+const WIDTH = 720
+const HEIGHT = 240
+const PAD = { top: 12, right: 12, bottom: 28, left: 64 }
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+let getTransactions = () => []
+let chartCard = 'all'
+let chartMonths = 12
+let chartMetric = 'amount'
+
+export function setupCharts(options) {
+    getTransactions = options.getTransactions
+
+    const controls = document.getElementById('chartControls')
+    document.getElementById('chartMonths').innerHTML = CHART_MONTHS
+        .map(months => `<option value="${months}">Last ${months} months</option>`)
+        .join('')
+    document.getElementById('chartMonths').value = String(chartMonths)
+
+    controls?.addEventListener('change', (e) => {
+        if (e.target.id === 'chartCard') chartCard = e.target.value
+        if (e.target.id === 'chartMonths') chartMonths = Number(e.target.value)
+        if (e.target.id === 'chartMetric') chartMetric = e.target.value
+        renderCharts()
+    })
+}
+
+// Points per month for one card: base points plus bonuses, dated on the
+// transaction that earned them
+export function getMonthlyPoints(cardId, transactions) {
+    const months = {}
+    Object.entries(aggregateByMonth(transactions.filter(t => t.card === cardId))).forEach(([month, data]) => {
+        months[month] = data.points
+    })
+    getBonusEvents(cardId, transactions).forEach(event => {
+        const month = event.date.slice(0, 7)
+        months[month] = (months[month] || 0) + event.points
+    })
+    return months
+}
+
+// Each category's share of a month's spend, in percent
+export function getCategoryMix(transactions, months) {
+    const byMonth = {}
+    transactions.forEach(t => {
+        const month = t.date.slice(0, 7)
+        if (!months.includes(month)) return
+        byMonth[month] = byMonth[month] || {}
+        byMonth[month][t.category] = (byMonth[month][t.category] || 0) + t.amount
+    })
+
+    return Object.keys(CATEGORIES).map(category => ({
+        category,
+        values: months.map(month => {
+            const spend = byMonth[month] || {}
+            const total = Object.values(spend).reduce((sum, amount) => sum + amount, 0)
+            return total ? (spend[category] || 0) / total * 100 : 0
+        })
+    })).filter(series => series.values.some(value => value > 0))
+}
+
+// Percentage change from one value to the next (null when there is no base)
+export function getChange(previous, current) {
+    return previous ? (current - previous) / previous * 100 : null
+}
+
+// Round a maximum up to 1, 2 or 5 times a power of ten
+function niceMax(value) {
+    if (value <= 0) return 1
+    const power = Math.pow(10, Math.floor(Math.log10(value)))
+    const step = [1, 2, 5, 10].find(m => m * power >= value)
+    return step * power
+}
+
+function formatShort(value) {
+    if (value >= 10000000) return (value / 10000000).toLocaleString('en-IN', { maximumFractionDigits: 1 }) + 'Cr'
+    if (value >= 100000) return (value / 100000).toLocaleString('en-IN', { maximumFractionDigits: 1 }) + 'L'
+    if (value >= 1000) return (value / 1000).toLocaleString('en-IN', { maximumFractionDigits: 1 }) + 'K'
+    return Math.round(value).toLocaleString('en-IN')
+}
+
+function formatMonth(month) {
+    const [year, m] = month.split('-').map(Number)
+    return new Date(year, m - 1, 1).toLocaleDateString('en-IN', { month: 'short', year: '2-digit' })
+}
+
+function renderAxis(max, format) {
+    const plotHeight = HEIGHT - PAD.top - PAD.bottom
+    return [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+        const y = PAD.top + plotHeight * (1 - fraction)
+        return `
+            <line class="chart-grid" x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y}" y2="${y}"></line>
+            <text class="chart-label" x="${PAD.left - 6}" y="${y + 4}" text-anchor="end">${format(max * fraction)}</text>
+        `
+    }).join('')
+}
+
+// Bar chart over months - grouped bars per series, or stacked
+function renderBarChart(months, series, { stacked = false, max = null, format = formatShort, unit = '' } = {}) {
+    const plotWidth = WIDTH - PAD.left - PAD.right
+    const plotHeight = HEIGHT - PAD.top - PAD.bottom
+    const totals = months.map((_, i) => series.reduce((sum, s) => sum + s.values[i], 0))
+    const top = max || niceMax(stacked ? Math.max(...totals) : Math.max(...series.flatMap(s => s.values)))
+    const slot = plotWidth / months.length
+    const barWidth = stacked ? slot * 0.7 : slot * 0.8 / series.length
+    const labelEvery = Math.ceil(months.length / 12)
+    const y = (value) => PAD.top + plotHeight * (1 - value / top)
+
+    const bars = months.map((month, i) => {
+        let stackBase = 0
+        return series.map((s, index) => {
+            const value = s.values[i]
+            if (!value) return ''
+            const x = PAD.left + slot * i + (stacked ? slot * 0.15 : slot * 0.1 + barWidth * index)
+            const yTop = y(stacked ? stackBase + value : value)
+            const yBottom = y(stacked ? stackBase : 0)
+            stackBase += value
+            return `<rect x="${x}" y="${yTop}" width="${barWidth}" height="${Math.max(yBottom - yTop, 0)}" fill="${s.color}">
+                <title>${escapeHtml(s.name)} · ${formatMonth(month)}: ${format(value)}${unit}</title>
+            </rect>`
+        }).join('')
+    }).join('')
+
+    const labels = months.map((month, i) => i % labelEvery === 0
+        ? `<text class="chart-label" x="${PAD.left + slot * (i + 0.5)}" y="${HEIGHT - 8}" text-anchor="middle">${formatMonth(month)}</text>`
+        : '').join('')
+
+    return `
+        <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">
+            ${renderAxis(top, format)}
+            ${bars}
+            ${labels}
+        </svg>
+    `
+}
+
+function renderLegend(items) {
+    return `
+        <div class="chart-legend">
+            ${items.map(item => `<span><i style="background: ${item.color}"></i>${escapeHtml(item.name)}</span>`).join('')}
+        </div>
+    `
+}
+
+// Cumulative spend through the card year against its milestones, with the
+// straight-line pace needed to reach the last one by the anniversary
+function renderMilestoneChart(card, cardTx, today) {
+    const year = getCardYear(card.anniversary, today)
+    const milestones = getMilestones(card, year.start)
+    if (milestones.length === 0) return ''
+
+    const yearTx = cardTx
+        .filter(t => isInCardYear(t, year))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    const start = new Date(year.start).getTime()
+    const days = (new Date(year.end).getTime() - start) / DAY_MS
+    const last = milestones[milestones.length - 1]
+    const spend = yearTx.reduce((sum, t) => sum + t.amount, 0)
+    const top = niceMax(Math.max(last.spend, spend))
+
+    const plotWidth = WIDTH - PAD.left - PAD.right
+    const plotHeight = HEIGHT - PAD.top - PAD.bottom
+    const x = (date) => PAD.left + plotWidth * ((new Date(date).getTime() - start) / DAY_MS) / days
+    const y = (value) => PAD.top + plotHeight * (1 - value / top)
+
+    // Step line of spend to date
+    let total = 0
+    const points = [`${x(year.start)},${y(0)}`]
+    yearTx.forEach(t => {
+        points.push(`${x(t.date)},${y(total)}`)
+        total += t.amount
+        points.push(`${x(t.date)},${y(total)}`)
+    })
+    const todayX = Math.min(x(today), WIDTH - PAD.right)
+    points.push(`${todayX},${y(total)}`)
+
+    const color = THEME_COLORS[card.theme] || THEME_COLORS.custom
+
+    return `
+        <div class="chart-block">
+            <h3 class="editor-subtitle">${escapeHtml(card.name)} milestones · ${formatCardYear(year)}</h3>
+            <svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">
+                ${renderAxis(top, formatShort)}
+                ${milestones.map(m => `
+                    <line class="chart-milestone" x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y(m.spend)}" y2="${y(m.spend)}"></line>
+                    <text class="chart-label" x="${WIDTH - PAD.right - 4}" y="${y(m.spend) - 4}" text-anchor="end">₹${formatShort(m.spend)} → ${m.bonusPoints.toLocaleString('en-IN')} pts</text>
+                `).join('')}
+                <line class="chart-pace" x1="${x(year.start)}" y1="${y(0)}" x2="${WIDTH - PAD.right}" y2="${y(last.spend)}">
+                    <title>Pace needed for ₹${last.spend.toLocaleString('en-IN')} by ${formatDate(year.end)}</title>
+                </line>
+                <line class="chart-today" x1="${todayX}" x2="${todayX}" y1="${PAD.top}" y2="${HEIGHT - PAD.bottom}"></line>
+                <polyline fill="none" stroke="${color}" stroke-width="2.5" points="${points.join(' ')}">
+                    <title>₹${total.toLocaleString('en-IN')} spent by ${formatDate(today)}</title>
+                </polyline>
+                <text class="chart-label" x="${PAD.left}" y="${HEIGHT - 8}">${formatDate(year.start)}</text>
+                <text class="chart-label" x="${WIDTH - PAD.right}" y="${HEIGHT - 8}" text-anchor="end">Anniversary ${formatDate(year.end)}</text>
+            </svg>
+        </div>
+    `
+}
+
+function formatChange(change) {
+    if (change === null) return '<span class="change">-</span>'
+    const sign = change > 0 ? '+' : ''
+    return `<span class="change ${change > 0 ? 'up' : change < 0 ? 'down' : ''}">${sign}${Math.round(change)}%</span>`
+}
+
+function renderMonthOverMonth(months, spend, points) {
+    const rows = months.map((month, i) => ({
+        month,
+        spend: spend[i],
+        points: points[i],
+        spendChange: i > 0 ? getChange(spend[i - 1], spend[i]) : null,
+        pointsChange: i > 0 ? getChange(points[i - 1], points[i]) : null
+    })).reverse()
+
+    return `
+        <table class="statement-table chart-table">
+            <thead>
+                <tr>
+                    <th>Month</th>
+                    <th style="text-align: right">Spend</th>
+                    <th style="text-align: right">vs previous</th>
+                    <th style="text-align: right">Points</th>
+                    <th style="text-align: right">vs previous</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(r => `
+                    <tr>
+                        <td>${formatMonth(r.month)}</td>
+                        <td style="text-align: right">₹${Math.round(r.spend).toLocaleString('en-IN')}</td>
+                        <td style="text-align: right">${formatChange(r.spendChange)}</td>
+                        <td style="text-align: right">${r.points.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right">${formatChange(r.pointsChange)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+}
+
+export function renderCharts() {
+    const container = document.getElementById('chartsContainer')
+    if (!container) return
+
+    // Cards may have changed since the select was filled
+    const cards = getCardList()
+    const cardSelect = document.getElementById('chartCard')
+    cardSelect.innerHTML = '<option value="all">All cards</option>' + cards
+        .map(card => `<option value="${card.id}">${escapeHtml(card.name)}</option>`)
+        .join('')
+    if (!cards.some(card => card.id === chartCard)) chartCard = 'all'
+    cardSelect.value = chartCard
+    document.getElementById('chartMetric').value = chartMetric
+
+    const transactions = getTransactions()
+    if (transactions.length === 0) {
+        container.innerHTML = '<div class="empty-state">No data to display</div>'
+        return
+    }
+
+    const today = todayString()
+    const months = getMonthRange(chartMonths, today.slice(0, 7))
+    const shownCards = cards.filter(card => chartCard === 'all' || card.id === chartCard)
+
+    // Monthly spend or points per card
+    const cardSeries = shownCards.map(card => {
+        const cardTx = transactions.filter(t => t.card === card.id)
+        const spend = aggregateByMonth(cardTx)
+        const points = getMonthlyPoints(card.id, transactions)
+        return {
+            name: card.name,
+            color: THEME_COLORS[card.theme] || THEME_COLORS.custom,
+            spend: months.map(month => spend[month]?.amount || 0),
+            points: months.map(month => points[month] || 0)
+        }
+    })
+    const metricSeries = cardSeries.map(s => ({
+        ...s,
+        values: chartMetric === 'points' ? s.points : s.spend
+    }))
+
+    const shownTx = transactions.filter(t => chartCard === 'all' || t.card === chartCard)
+    const mix = getCategoryMix(shownTx, months).map(s => ({
+        name: formatCategory(s.category),
+        color: CATEGORY_COLORS[s.category] || CATEGORY_COLORS.other,
+        values: s.values
+    }))
+
+    const totalSpend = months.map((_, i) => cardSeries.reduce((sum, s) => sum + s.spend[i], 0))
+    const totalPoints = months.map((_, i) => cardSeries.reduce((sum, s) => sum + s.points[i], 0))
+
+    container.innerHTML = `
+        <div class="chart-block">
+            <h3 class="editor-subtitle">Monthly ${chartMetric === 'points' ? 'points' : 'spend'} by card</h3>
+            ${renderBarChart(months, metricSeries, {
+                format: chartMetric === 'points' ? formatShort : (value) => '₹' + formatShort(value),
+                unit: chartMetric === 'points' ? ' pts' : ''
+            })}
+            ${renderLegend(metricSeries)}
+        </div>
+        <div class="chart-block">
+            <h3 class="editor-subtitle">Category mix (share of spend)</h3>
+            ${mix.length ? renderBarChart(months, mix, {
+                stacked: true,
+                max: 100,
+                format: (value) => Math.round(value) + '%'
+            }) + renderLegend(mix) : '<div class="empty-state">No spend in these months</div>'}
+        </div>
+        ${shownCards.map(card => renderMilestoneChart(card, transactions.filter(t => t.card === card.id), today)).join('')}
+        <div class="chart-block">
+            <h3 class="editor-subtitle">Month over month</h3>
+            ${renderMonthOverMonth(months, totalSpend, totalPoints)}
+        </div>
+    `
+}
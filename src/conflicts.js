@@ -0,0 +1,75 @@
+// Sync conflicts - writes that could not be replayed as made
+import { getConflicts, resolveConflict } from './db.js'
+import { getCardName } from './cards.js'
+import { formatCategory, formatDate, escapeHtml } from './format.js'
+
+const REASONS = {
+    edited: 'Changed on another device',
+    deleted: 'Deleted on another device',
+    rejected: 'Not accepted by the server'
+}
+
+const ACTIONS = {
+    add: 'Added here',
+    import: 'Imported here',
+    update: 'Edited here',
+    delete: 'Deleted here',
+    clear: 'Deleted permanently here',
+    bulkUpdate: 'Moved to or from the trash here',
+    patch: 'Upgraded or recomputed here'
+}
+
+export function setupConflicts() {
+    document.getElementById('syncConflicts')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-keep]')
+        if (button) {
+            resolveConflict(button.dataset.conflict, button.dataset.keep)
+        }
+    })
+}
+
+function describeItem(item) {
+    if (!item) return 'Deleted'
+    const parts = [
+        item.date ? formatDate(item.date) : null,
+        item.card ? getCardName(item.card) : null,
+        item.amount != null ? `₹${item.amount.toLocaleString('en-IN')}` : null,
+        item.category ? formatCategory(item.category) : null,
+        item.points != null ? `${item.points.toLocaleString('en-IN')} pts` : null,
+        item.description || null
+    ]
+    return parts.filter(Boolean).map(escapeHtml).join(' · ')
+}
+
+export function renderConflicts() {
+    const container = document.getElementById('syncConflicts')
+    if (!container) return
+
+    const conflicts = getConflicts()
+    container.classList.toggle('hidden', conflicts.length === 0)
+    if (conflicts.length === 0) return
+
+    container.innerHTML = `
+        <h2 class="section-title">Sync Conflicts</h2>
+        ${conflicts.map(c => {
+            const mine = c.op.type === 'delete' ? null : { ...c.local, ...c.op.changes }
+            const rejected = c.reason === 'rejected'
+            return `
+                <div class="conflict">
+                    <div class="conflict-reason">
+                        ${ACTIONS[c.op.type] || c.op.type} · ${REASONS[c.reason]}
+                        ${c.message ? `<span class="skip-reason">${escapeHtml(c.message)}</span>` : ''}
+                    </div>
+                    ${c.op.type === 'update' || c.op.type === 'delete' ? `
+                        <div class="conflict-version"><strong>This device:</strong> ${describeItem(mine)}</div>
+                        <div class="conflict-version"><strong>Other device:</strong> ${describeItem(c.remote)}</div>
+                    ` : ''}
+                    <div class="conflict-actions">
+                        <button class="btn-small" data-conflict="${c.id}" data-keep="mine">${rejected ? 'Retry' : 'Keep this device'}</button>
+                        <button class="btn-small btn-secondary" data-conflict="${c.id}" data-keep="theirs">${rejected ? 'Discard' : 'Keep other device'}</button>
+                    </div>
+                </div>
+            `
+        }).join('')}
+    `
+}
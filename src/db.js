@@ -2,29 +2,64 @@
 import {
     collection,
     doc,
-    addDoc,
-    updateDoc,
-    deleteDoc,
+    setDoc,
     getDocs,
     query,
     orderBy,
     serverTimestamp,
-    onSnapshot
+    onSnapshot,
+    runTransaction,
+    writeBatch
 } from 'firebase/firestore'
 import { db, isFirebaseConfigured } from './firebase.js'
+import { readLocal, writeLocal, removeLocal } from './localstore.js'
+import { SCHEMA_VERSION, upgradeTransaction, getMigrationChanges } from './migrations.js'
 import { getCurrentUser } from './auth.js'
 
-// Local storage key
+// Local store keys (see localstore.js)
 const LOCAL_STORAGE_KEY = 'amexTransactions'
+const LEDGER_STORAGE_KEY = 'amexLedger'
+const SETTINGS_STORAGE_KEY = 'amexSettings'
+const QUEUE_STORAGE_KEY = 'amexPendingOps'
+const CONFLICTS_STORAGE_KEY = 'amexSyncConflicts'
+
+// Firestore allows at most 500 writes in one batch
+const BATCH_SIZE = 500
+
+// How long to wait before retrying the queue after a failed write
+const RETRY_DELAY_MS = 30000
+
+// Firestore error codes worth retrying later; anything else means the
+// write itself was rejected
+const TRANSIENT_ERRORS = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal', 'unknown']
+
+// Account whose local cache is in use - see scopedKey
+let accountId = null
 
 // Sync status callback
 let syncStatusCallback = null
+let localChangeCallback = null
 let unsubscribeSnapshot = null
+let unsubscribeLedgerSnapshot = null
+let flushPromise = null
+let retryTimer = null
 
 export function onSyncStatusChange(callback) {
     syncStatusCallback = callback
 }
 
+// Called whenever the local copy changes without a snapshot - queued writes,
+// conflicts found during replay and conflict resolutions
+export function onLocalChange(callback) {
+    localChangeCallback = callback
+}
+
+function notifyLocalChange() {
+    if (localChangeCallback) {
+        localChangeCallback()
+    }
+}
+
 function updateSyncStatus(status, message = '') {
     if (syncStatusCallback) {
         syncStatusCallback(status, message)
@@ -40,13 +75,37 @@ function getUserTransactionsRef() {
     return collection(db, 'users', user.uid, 'transactions')
 }
 
+// Get user's ledger collection path (redemptions, transfers, adjustments)
+function getUserLedgerRef() {
+    const user = getCurrentUser()
+    if (!user || !isFirebaseConfigured() || !db) {
+        return null
+    }
+    return collection(db, 'users', user.uid, 'ledger')
+}
+
+// Collections written through the pending-operations queue
+const COLLECTIONS = {
+    transactions: { storageKey: LOCAL_STORAGE_KEY, getRef: getUserTransactionsRef },
+    ledger: { storageKey: LEDGER_STORAGE_KEY, getRef: getUserLedgerRef }
+}
+
+// Get user's settings collection path
+function getUserSettingsRef() {
+    const user = getCurrentUser()
+    if (!user || !isFirebaseConfigured() || !db) {
+        return null
+    }
+    return collection(db, 'users', user.uid, 'settings')
+}
+
 // Load transactions from Firestore
 export async function loadTransactions() {
     const collectionRef = getUserTransactionsRef()
 
     if (!collectionRef) {
-        // Fallback to localStorage
-        return loadFromLocalStorage()
+        // Fallback to the local copy
+        return loadLocal()
     }
 
     try {
@@ -54,21 +113,21 @@ export async function loadTransactions() {
         const q = query(collectionRef, orderBy('createdAt', 'desc'))
         const snapshot = await getDocs(q)
 
-        const transactions = snapshot.docs.map(doc => ({
+        const transactions = withPendingOperations('transactions', snapshot.docs.map(doc => ({
             id: doc.id,
             ...doc.data()
-        }))
+        })))
 
-        // Also save to localStorage as backup
-        saveToLocalStorage(transactions)
+        // Also keep a local copy
+        saveLocal(transactions)
         updateSyncStatus('synced')
 
         return transactions
     } catch (error) {
         console.error('Error loading transactions:', error)
         updateSyncStatus('error', error.message)
-        // Fallback to localStorage
-        return loadFromLocalStorage()
+        // Fallback to the local copy
+        return loadLocal()
     }
 }
 
@@ -77,8 +136,8 @@ export function subscribeToTransactions(callback) {
     const collectionRef = getUserTransactionsRef()
 
     if (!collectionRef) {
-        // Offline mode - just return localStorage data
-        callback(loadFromLocalStorage())
+        // Offline mode - just return the local copy
+        callback(loadLocal())
         return () => {}
     }
 
@@ -91,21 +150,26 @@ export function subscribeToTransactions(callback) {
         const q = query(collectionRef, orderBy('createdAt', 'desc'))
         unsubscribeSnapshot = onSnapshot(q,
             (snapshot) => {
-                const transactions = snapshot.docs.map(doc => ({
+                // Writes still in the queue are applied on top of the server copy
+                const transactions = withPendingOperations('transactions', snapshot.docs.map(doc => ({
                     id: doc.id,
                     ...doc.data()
-                }))
-                saveToLocalStorage(transactions)
-                updateSyncStatus('synced')
-                callback(transactions)
+                })))
+                saveLocal(transactions)
+                migrateTransactions()
+                updateQueueStatus()
+                callback(loadLocal())
             },
             (error) => {
                 console.error('Snapshot error:', error)
                 updateSyncStatus('error', error.message)
-                callback(loadFromLocalStorage())
+                callback(loadLocal())
             }
         )
 
+        // Signed in again - send anything written while away
+        flushQueue()
+
         return () => {
             if (unsubscribeSnapshot) {
                 unsubscribeSnapshot()
@@ -114,146 +178,629 @@ export function subscribeToTransactions(callback) {
         }
     } catch (error) {
         console.error('Subscribe error:', error)
-        callback(loadFromLocalStorage())
+        callback(loadLocal())
         return () => {}
     }
 }
 
-// Add a new transaction
+// Add a new transaction. It gets a client-generated id that is also used
+// for its Firestore document, so the local copy and the synced one match.
 export async function addTransaction(transaction) {
-    const collectionRef = getUserTransactionsRef()
-
-    // Add to localStorage immediately for responsiveness
-    const localTransactions = loadFromLocalStorage()
+    const now = new Date().toISOString()
     const localTransaction = {
         ...transaction,
-        id: transaction.id || Date.now().toString(),
-        createdAt: new Date().toISOString()
+        id: transaction.id || createClientId(),
+        createdAt: now,
+        updatedAt: now,
+        schemaVersion: SCHEMA_VERSION
     }
-    localTransactions.unshift(localTransaction)
-    saveToLocalStorage(localTransactions)
+    queueOperation({ type: 'add', collection: 'transactions', item: localTransaction })
+    return localTransaction
+}
+
+// Delete a transaction - it moves to the trash and can be restored
+export async function deleteTransaction(transactionId) {
+    return trashTransactions([transactionId])
+}
+
+// Move transactions to the trash. Trashed transactions keep their document
+// with a `deletedAt` time until they are restored or purged.
+export async function trashTransactions(ids) {
+    const deletedAt = new Date().toISOString()
+    const opId = queueOperation({
+        type: 'bulkUpdate',
+        collection: 'transactions',
+        ids,
+        changes: { deletedAt, updatedAt: deletedAt }
+    })
+    return settleOperation(opId, ids.length)
+}
+
+// Take transactions back out of the trash
+export async function restoreTransactions(ids) {
+    const opId = queueOperation({
+        type: 'bulkUpdate',
+        collection: 'transactions',
+        ids,
+        changes: { deletedAt: null, updatedAt: new Date().toISOString() }
+    })
+    return settleOperation(opId, ids.length)
+}
+
+// Upgrade transactions saved by older versions of the app (see
+// migrations.js). Upgrades are queued like any other write, so the
+// account's copy is fixed too. Returns the number of transactions upgraded.
+export function migrateTransactions() {
+    const updates = getMigrationChanges(loadLocal())
+    if (updates.length > 0) {
+        queueOperation({ type: 'patch', collection: 'transactions', updates })
+    }
+    return updates.length
+}
+
+// Permanently delete transactions (emptying the trash)
+export async function purgeTransactions(ids) {
+    const opId = queueOperation({ type: 'clear', collection: 'transactions', ids })
+    return settleOperation(opId, ids.length)
+}
+
+// Update a transaction in place - keeps its id and createdAt ordering
+export async function updateTransaction(transactionId, changes) {
+    return updateTransactions([{ id: transactionId, changes }])
+}
+
+// Update fields on several transactions, each checked for edits made on
+// another device. `updates` is a list of { id, changes }.
+export async function updateTransactions(updates) {
+    const updatedAt = new Date().toISOString()
+    updates.forEach(u => queueOperation({
+        type: 'update',
+        collection: 'transactions',
+        id: u.id,
+        changes: { ...u.changes, updatedAt },
+        baseUpdatedAt: getBaseUpdatedAt('transactions', u.id)
+    }))
+}
+
+// Update fields on many transactions in batched writes, e.g. recomputed
+// points - without the per-row conflict check. Resolves with a write result
+// once the changes have been sent (see settleOperation).
+export async function patchTransactions(updates) {
+    const updatedAt = new Date().toISOString()
+    const opId = queueOperation({
+        type: 'patch',
+        collection: 'transactions',
+        updates: updates.map(u => ({ id: u.id, changes: { ...u.changes, updatedAt } }))
+    })
+    return settleOperation(opId, updates.length)
+}
+
+// Clear all transactions by moving them to the trash. Only the transactions
+// on this device are trashed, so ones added on another device in the
+// meantime survive the replay. Resolves with a write result once the
+// changes have been sent (see settleOperation).
+export async function clearAllTransactions() {
+    const ids = loadLocal().filter(t => !t.deletedAt).map(t => t.id)
+    return ids.length > 0 ? trashTransactions(ids) : { count: 0, written: 0, pending: 0, failed: 0 }
+}
+
+// Import transactions (merge with existing). Resolves with a write result
+// once the rows have been sent (see settleOperation).
+export async function importTransactions(transactions) {
+    const now = new Date().toISOString()
+    // Rows from old backups are upgraded on the way in
+    const items = transactions.map(t => ({
+        ...upgradeTransaction(t),
+        id: t.id || createClientId(),
+        createdAt: t.createdAt || now,
+        updatedAt: now
+    }))
+    const opId = queueOperation({ type: 'import', collection: 'transactions', items })
+    return settleOperation(opId, items.length)
+}
+
+// Subscribe to real-time ledger updates
+export function subscribeToLedger(callback) {
+    const collectionRef = getUserLedgerRef()
 
     if (!collectionRef) {
-        return localTransaction
+        callback(loadLocal(LEDGER_STORAGE_KEY))
+        return () => {}
+    }
+
+    if (unsubscribeLedgerSnapshot) {
+        unsubscribeLedgerSnapshot()
     }
 
     try {
-        updateSyncStatus('syncing')
-        const docRef = await addDoc(collectionRef, {
-            ...transaction,
-            createdAt: serverTimestamp()
-        })
-        updateSyncStatus('synced')
-        return { ...transaction, id: docRef.id }
+        const q = query(collectionRef, orderBy('createdAt', 'desc'))
+        unsubscribeLedgerSnapshot = onSnapshot(q,
+            (snapshot) => {
+                const entries = withPendingOperations('ledger', snapshot.docs.map(doc => ({
+                    id: doc.id,
+                    ...doc.data()
+                })))
+                saveLocal(entries, LEDGER_STORAGE_KEY)
+                callback(entries)
+            },
+            (error) => {
+                console.error('Ledger snapshot error:', error)
+                updateSyncStatus('error', error.message)
+                callback(loadLocal(LEDGER_STORAGE_KEY))
+            }
+        )
+
+        return () => {
+            if (unsubscribeLedgerSnapshot) {
+                unsubscribeLedgerSnapshot()
+                unsubscribeLedgerSnapshot = null
+            }
+        }
     } catch (error) {
-        console.error('Error adding transaction:', error)
-        updateSyncStatus('error', error.message)
-        return localTransaction
+        console.error('Ledger subscribe error:', error)
+        callback(loadLocal(LEDGER_STORAGE_KEY))
+        return () => {}
     }
 }
 
-// Delete a transaction
-export async function deleteTransaction(transactionId) {
-    // Remove from localStorage immediately
-    const localTransactions = loadFromLocalStorage()
-    const filtered = localTransactions.filter(t => t.id !== transactionId)
-    saveToLocalStorage(filtered)
+// Add a redemption, transfer or adjustment
+export async function addLedgerEntry(entry) {
+    const now = new Date().toISOString()
+    const localEntry = {
+        ...entry,
+        id: createClientId(),
+        createdAt: now,
+        updatedAt: now
+    }
+    queueOperation({ type: 'add', collection: 'ledger', item: localEntry })
+    return localEntry
+}
 
-    const collectionRef = getUserTransactionsRef()
-    if (!collectionRef) {
-        return true
+// Add ledger entries in bulk (moving signed-out data into an account)
+export async function importLedgerEntries(entries) {
+    const now = new Date().toISOString()
+    const items = entries.map(e => ({
+        ...e,
+        id: e.id || createClientId(),
+        createdAt: e.createdAt || now,
+        updatedAt: now
+    }))
+    const opId = queueOperation({ type: 'import', collection: 'ledger', items })
+    return settleOperation(opId, items.length)
+}
+
+// Delete a ledger entry
+export async function deleteLedgerEntry(entryId) {
+    queueOperation({
+        type: 'delete',
+        collection: 'ledger',
+        id: entryId,
+        baseUpdatedAt: getBaseUpdatedAt('ledger', entryId)
+    })
+    return true
+}
+
+// Pending-operations queue. Every write is applied to the local copy at
+// once and queued; the queue is replayed against Firestore in order when
+// signed in and online, and survives reloads. Ops are idempotent (documents
+// use client ids), so an op interrupted mid-replay is simply sent again.
+//
+// Op shapes: { type: 'add', item } | { type: 'import', items } |
+// { type: 'update', id, changes, baseUpdatedAt } |
+// { type: 'delete', id, baseUpdatedAt } | { type: 'clear', ids } |
+// { type: 'bulkUpdate', ids, changes } | { type: 'patch', updates: [{ id, changes }] }
+// plus opId, collection and queuedAt.
+
+export function createClientId() {
+    if (globalThis.crypto?.randomUUID) {
+        return crypto.randomUUID()
+    }
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 11)
+}
+
+function queueOperation(op) {
+    const queued = { ...op, opId: createClientId(), queuedAt: new Date().toISOString() }
+    const { storageKey } = COLLECTIONS[op.collection]
+    saveLocal(applyOperation(loadLocal(storageKey), queued), storageKey)
+
+    // Without Firebase the local copy is all there is
+    if (isFirebaseConfigured() && db) {
+        saveLocal([...loadLocal(QUEUE_STORAGE_KEY), queued], QUEUE_STORAGE_KEY)
     }
 
-    try {
-        updateSyncStatus('syncing')
-        await deleteDoc(doc(collectionRef, transactionId))
+    notifyLocalChange()
+    updateQueueStatus()
+    flushQueue()
+    return queued.opId
+}
+
+// Wait for a queued bulk op to be replayed and report what happened to its
+// rows: { count, written, pending, failed }. When offline the rows stay
+// pending rather than waiting for the connection to return.
+async function settleOperation(opId, count) {
+    if (canSync() && navigator.onLine !== false) {
+        await flushQueue()
+    }
+
+    const queued = loadLocal(QUEUE_STORAGE_KEY).find(o => o.opId === opId)
+    if (queued) {
+        const written = queued.written || 0
+        return { count, written, pending: count - written, failed: 0 }
+    }
+
+    const conflict = getConflicts().find(c => c.id === opId)
+    if (conflict) {
+        const written = conflict.op.written || 0
+        return { count, written, pending: 0, failed: count - written }
+    }
+
+    return { count, written: count, pending: 0, failed: 0 }
+}
+
+// updatedAt of the local copy when a change was made - replay compares it
+// with the server copy to spot edits made on another device meanwhile
+function getBaseUpdatedAt(collectionName, id) {
+    const item = loadLocal(COLLECTIONS[collectionName].storageKey).find(i => i.id === id)
+    return item?.updatedAt || null
+}
+
+function applyOperation(items, op) {
+    switch (op.type) {
+        case 'add':
+            return [op.item, ...items.filter(i => i.id !== op.item.id)]
+        case 'import': {
+            const ids = new Set(op.items.map(i => i.id))
+            return [...op.items, ...items.filter(i => !ids.has(i.id))]
+        }
+        case 'update':
+            return items.map(i => (i.id === op.id ? { ...i, ...op.changes } : i))
+        case 'delete':
+            return items.filter(i => i.id !== op.id)
+        case 'clear': {
+            const ids = new Set(op.ids)
+            return items.filter(i => !ids.has(i.id))
+        }
+        case 'bulkUpdate': {
+            const ids = new Set(op.ids)
+            return items.map(i => (ids.has(i.id) ? { ...i, ...op.changes } : i))
+        }
+        case 'patch': {
+            const changes = new Map(op.updates.map(u => [u.id, u.changes]))
+            return items.map(i => (changes.has(i.id) ? { ...i, ...changes.get(i.id) } : i))
+        }
+        default:
+            return items
+    }
+}
+
+// Server items with the queued writes for that collection applied on top
+function withPendingOperations(collectionName, items) {
+    return loadLocal(QUEUE_STORAGE_KEY)
+        .filter(op => op.collection === collectionName)
+        .reduce(applyOperation, items)
+}
+
+function canSync() {
+    return Boolean(getCurrentUser() && isFirebaseConfigured() && db)
+}
+
+// Replay the queue; concurrent calls share the one running replay
+export function flushQueue() {
+    if (!flushPromise) {
+        flushPromise = replayQueue().finally(() => {
+            flushPromise = null
+        })
+    }
+    return flushPromise
+}
+
+async function replayQueue() {
+    if (!canSync() || loadLocal(QUEUE_STORAGE_KEY).length === 0) return
+
+    clearTimeout(retryTimer)
+    updateSyncStatus('syncing')
+
+    let queue
+    while (canSync() && (queue = loadLocal(QUEUE_STORAGE_KEY)).length > 0) {
+        const op = queue[0]
+        try {
+            const conflict = await replayOperation(op)
+            if (conflict) recordConflict(conflict)
+        } catch (error) {
+            if (!error.code || TRANSIENT_ERRORS.includes(error.code)) {
+                // Offline or flaky - keep the op and try again later
+                console.error('Error replaying queued write:', error)
+                updateSyncStatus('error', error.message)
+                retryTimer = setTimeout(flushQueue, RETRY_DELAY_MS)
+                return
+            }
+            // Keep the progress of a partly written bulk op so a retry resumes it
+            const current = loadLocal(QUEUE_STORAGE_KEY).find(o => o.opId === op.opId) || op
+            recordConflict({ op: current, remote: null, reason: 'rejected', message: error.message })
+        }
+        removeQueuedOperation(op.opId)
+    }
+    updateQueueStatus()
+}
+
+function removeQueuedOperation(opId) {
+    saveLocal(
+        loadLocal(QUEUE_STORAGE_KEY).filter(o => o.opId !== opId),
+        QUEUE_STORAGE_KEY
+    )
+}
+
+function toRemote(item) {
+    const { id, ...data } = item
+    return { ...data, createdAt: serverTimestamp() }
+}
+
+// Send one op to Firestore. Updates and deletes check the server copy has
+// not changed since the local edit; a conflict is returned instead of
+// overwriting it.
+async function replayOperation(op) {
+    const collectionRef = COLLECTIONS[op.collection].getRef()
+
+    switch (op.type) {
+        case 'add':
+            await setDoc(doc(collectionRef, op.item.id), toRemote(op.item))
+            return null
+        case 'import':
+            await commitInBatches(op, op.items, 'Importing', (batch, item) =>
+                batch.set(doc(collectionRef, item.id), toRemote(item)))
+            return null
+        case 'clear':
+            await commitInBatches(op, op.ids, 'Deleting', (batch, id) =>
+                batch.delete(doc(collectionRef, id)))
+            return null
+        case 'bulkUpdate':
+            await commitInBatches(op, op.ids, 'Updating', (batch, id) =>
+                batch.update(doc(collectionRef, id), op.changes))
+            return null
+        case 'patch':
+            await commitInBatches(op, op.updates, 'Updating', (batch, u) =>
+                batch.update(doc(collectionRef, u.id), u.changes))
+            return null
+        default:
+            return runTransaction(db, async (tx) => {
+                const docRef = doc(collectionRef, op.id)
+                const snapshot = await tx.get(docRef)
+
+                if (!snapshot.exists()) {
+                    // Deleted on another device - nothing to do for a delete
+                    return op.type === 'delete' ? null : { op, remote: null, reason: 'deleted' }
+                }
+
+                const remote = { id: snapshot.id, ...snapshot.data() }
+                if ((remote.updatedAt || null) !== op.baseUpdatedAt) {
+                    return { op, remote, reason: 'edited' }
+                }
+
+                if (op.type === 'delete') {
+                    tx.delete(docRef)
+                } else {
+                    tx.update(docRef, op.changes)
+                }
+                return null
+            })
+    }
+}
+
+// Write a bulk op in atomic batches, starting after the rows already
+// written. Progress is saved on the queued op after each batch, so a replay
+// after a failure or reload picks up where it stopped.
+async function commitInBatches(op, entries, label, write) {
+    let written = op.written || 0
+    while (written < entries.length) {
+        updateSyncStatus('syncing', `${label} ${written.toLocaleString('en-IN')} / ${entries.length.toLocaleString('en-IN')}`)
+
+        const batch = writeBatch(db)
+        const chunk = entries.slice(written, written + BATCH_SIZE)
+        chunk.forEach(entry => write(batch, entry))
+        await batch.commit()
+
+        written += chunk.length
+        saveLocal(
+            loadLocal(QUEUE_STORAGE_KEY).map(o => (o.opId === op.opId ? { ...o, written } : o)),
+            QUEUE_STORAGE_KEY
+        )
+    }
+}
+
+// Keep a conflict for the user to resolve, and show the server copy until then
+function recordConflict(conflict) {
+    const { storageKey } = COLLECTIONS[conflict.op.collection]
+    const items = loadLocal(storageKey)
+    const id = conflict.op.id || conflict.op.item?.id
+    const local = items.find(i => i.id === id) || conflict.op.item || null
+
+    if (conflict.reason !== 'rejected') {
+        const others = items.filter(i => i.id !== id)
+        saveLocal(conflict.remote ? [conflict.remote, ...others] : others, storageKey)
+    }
+
+    saveLocal([...loadLocal(CONFLICTS_STORAGE_KEY), {
+        ...conflict,
+        id: conflict.op.opId,
+        itemId: id,
+        local,
+        detectedAt: new Date().toISOString()
+    }], CONFLICTS_STORAGE_KEY)
+    notifyLocalChange()
+}
+
+export function getConflicts() {
+    return loadLocal(CONFLICTS_STORAGE_KEY)
+}
+
+// Resolve a conflict by keeping this device's change ('mine') or the
+// server copy ('theirs')
+export function resolveConflict(conflictId, keep) {
+    const conflicts = getConflicts()
+    const conflict = conflicts.find(c => c.id === conflictId)
+    if (!conflict) return
+
+    saveLocal(conflicts.filter(c => c.id !== conflictId), CONFLICTS_STORAGE_KEY)
+
+    if (keep === 'mine') {
+        const { op, remote, local, reason } = conflict
+        if (reason === 'rejected') {
+            // Try the write again as it was
+            const { opId, queuedAt, ...retry } = op
+            queueOperation(retry)
+        } else if (!remote) {
+            // Edited here, deleted there - bring the edited copy back
+            queueOperation({ type: 'add', collection: op.collection, item: { ...local, ...op.changes } })
+        } else {
+            // Apply the change again on top of the other device's copy
+            queueOperation({ ...op, baseUpdatedAt: remote.updatedAt || null })
+        }
+        return
+    }
+
+    notifyLocalChange()
+    updateQueueStatus()
+}
+
+// Sync state of each item that has not reached the server as written:
+// Map of id -> 'pending' | 'conflict'
+export function getSyncStates(collectionName = 'transactions') {
+    const states = new Map()
+    loadLocal(QUEUE_STORAGE_KEY)
+        .filter(op => op.collection === collectionName)
+        .forEach(op => {
+            const ids = op.type === 'add' ? [op.item.id]
+                : op.type === 'import' ? op.items.map(i => i.id)
+                    : op.type === 'clear' || op.type === 'bulkUpdate' ? op.ids
+                        : op.type === 'patch' ? op.updates.map(u => u.id)
+                            : [op.id]
+            ids.forEach(id => states.set(id, 'pending'))
+        })
+    getConflicts()
+        .filter(c => c.op.collection === collectionName)
+        .forEach(c => states.set(c.itemId, 'conflict'))
+    return states
+}
+
+export function getPendingCount() {
+    return loadLocal(QUEUE_STORAGE_KEY).length
+}
+
+function updateQueueStatus() {
+    const pending = getPendingCount()
+    const conflicts = getConflicts().length
+    if (conflicts > 0) {
+        updateSyncStatus('conflict', `${conflicts} conflict${conflicts === 1 ? '' : 's'}`)
+    } else if (pending > 0) {
+        updateSyncStatus('pending', `${pending} pending`)
+    } else if (canSync()) {
         updateSyncStatus('synced')
-        return true
-    } catch (error) {
-        console.error('Error deleting transaction:', error)
-        updateSyncStatus('error', error.message)
-        return false
     }
 }
 
-// Clear all transactions
-export async function clearAllTransactions() {
-    // Clear localStorage
-    saveToLocalStorage([])
+// Back online - send what was queued
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', flushQueue)
+}
 
-    const collectionRef = getUserTransactionsRef()
+// Load all settings documents from Firestore into the local cache
+export async function loadSettings() {
+    const collectionRef = getUserSettingsRef()
     if (!collectionRef) {
-        return true
+        return loadLocalSettings()
     }
 
     try {
-        updateSyncStatus('syncing')
         const snapshot = await getDocs(collectionRef)
-        const deletePromises = snapshot.docs.map(doc => deleteDoc(doc.ref))
-        await Promise.all(deletePromises)
-        updateSyncStatus('synced')
-        return true
+        const settings = loadLocalSettings()
+        snapshot.docs.forEach(doc => {
+            settings[doc.id] = doc.data().value
+        })
+        saveLocalSettings(settings)
+        return settings
     } catch (error) {
-        console.error('Error clearing transactions:', error)
-        updateSyncStatus('error', error.message)
-        return false
+        console.error('Error loading settings:', error)
+        return loadLocalSettings()
     }
 }
 
-// Import transactions (merge with existing)
-export async function importTransactions(transactions) {
-    const collectionRef = getUserTransactionsRef()
+// Read a setting from the local cache
+export function getSetting(name, fallback = null) {
+    const settings = loadLocalSettings()
+    return name in settings ? settings[name] : fallback
+}
 
-    // Add to localStorage
-    const localTransactions = loadFromLocalStorage()
-    const newTransactions = transactions.map(t => ({
-        ...t,
-        id: t.id || Date.now().toString() + Math.random().toString(36).substr(2, 9),
-        createdAt: t.createdAt || new Date().toISOString()
-    }))
-    saveToLocalStorage([...newTransactions, ...localTransactions])
+// All settings in the local cache, by name
+export function getSettings() {
+    return loadLocalSettings()
+}
 
+// Save a setting locally and to the user's account
+export async function saveSetting(name, value) {
+    const settings = loadLocalSettings()
+    settings[name] = value
+    saveLocalSettings(settings)
+
+    const collectionRef = getUserSettingsRef()
     if (!collectionRef) {
-        return newTransactions.length
+        return true
     }
 
     try {
-        updateSyncStatus('syncing')
-        const addPromises = transactions.map(t =>
-            addDoc(collectionRef, {
-                ...t,
-                createdAt: serverTimestamp()
-            })
-        )
-        await Promise.all(addPromises)
-        updateSyncStatus('synced')
-        return transactions.length
+        await setDoc(doc(collectionRef, name), { value })
+        return true
     } catch (error) {
-        console.error('Error importing transactions:', error)
+        console.error('Error saving setting:', error)
         updateSyncStatus('error', error.message)
-        return transactions.length // Still added to localStorage
+        return false
     }
 }
 
-// Local storage helpers
-function loadFromLocalStorage() {
-    try {
-        const data = localStorage.getItem(LOCAL_STORAGE_KEY)
-        return data ? JSON.parse(data) : []
-    } catch {
-        return []
-    }
+// Local caches are kept per account so signing in with another Google
+// account never mixes or overwrites data: each signed-in user has their own
+// copy. Data saved while signed out (or without Firebase) is kept apart and
+// offered to the account on sign-in (see getGuestData).
+export function setAccount(uid) {
+    accountId = uid || null
 }
 
-function saveToLocalStorage(transactions) {
-    try {
-        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(transactions))
-    } catch (error) {
-        console.error('Error saving to localStorage:', error)
+// Local store helpers
+function loadLocal(key = LOCAL_STORAGE_KEY, account = accountId) {
+    return readLocal(key, account, [])
+}
+
+function saveLocal(items, key = LOCAL_STORAGE_KEY, account = accountId) {
+    writeLocal(key, items, account)
+}
+
+function loadLocalSettings(account = accountId) {
+    return readLocal(SETTINGS_STORAGE_KEY, account, {})
+}
+
+function saveLocalSettings(settings) {
+    writeLocal(SETTINGS_STORAGE_KEY, settings, accountId)
+}
+
+// Data saved on this device while signed out
+export function getGuestData() {
+    return {
+        transactions: loadLocal(LOCAL_STORAGE_KEY, null).filter(t => !t.deletedAt),
+        ledger: loadLocal(LEDGER_STORAGE_KEY, null),
+        settings: loadLocalSettings(null)
     }
 }
 
+// Forget the signed-out data once it has been moved into an account
+export function clearGuestData() {
+    ;[LOCAL_STORAGE_KEY, LEDGER_STORAGE_KEY, SETTINGS_STORAGE_KEY, QUEUE_STORAGE_KEY, CONFLICTS_STORAGE_KEY]
+        .forEach(key => removeLocal(key, null))
+}
+
 // Export for offline access
 export function getLocalTransactions() {
-    return loadFromLocalStorage()
+    return loadLocal()
+}
+
+export function getLocalLedger() {
+    return loadLocal(LEDGER_STORAGE_KEY)
 }
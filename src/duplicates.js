@@ -0,0 +1,312 @@
+// Duplicate detection - on import and over the existing transactions
+import { importTransactions, updateTransactions, trashTransactions } from './db.js'
+import { calculatePoints } from './rewards.js'
+import { getCardName } from './cards.js'
+import { isTrashed } from './trash.js'
+import { formatCategory, formatDate, escapeHtml } from './format.js'
+
+// Same card and amount this many days apart may be the same purchase
+// (e.g. transaction date vs posting date)
+const LIKELY_DAYS = 3
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const IMPORT_ACTIONS = {
+    skip: 'Skip',
+    merge: 'Merge into existing',
+    add: 'Add anyway'
+}
+
+const EXISTING_ACTIONS = {
+    keep: 'Keep both',
+    delete: 'Move this copy to trash',
+    merge: 'Merge and trash'
+}
+
+let getTransactions = () => []
+let getTrashed = () => []
+let onChange = () => {}
+
+// Open review: { mode: 'import' | 'existing', rows, resolve }
+let review = null
+
+export function normalizeDescription(description) {
+    return String(description || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+}
+
+export function getFingerprint(transaction) {
+    return [
+        transaction.date,
+        Number(transaction.amount).toFixed(2),
+        transaction.card,
+        normalizeDescription(transaction.description)
+    ].join('|')
+}
+
+function daysApart(a, b) {
+    return Math.abs(new Date(a) - new Date(b)) / DAY_MS
+}
+
+// How a transaction matches one it might duplicate:
+// 'exact' (same id or fingerprint), 'likely' or null
+function compareTransactions(transaction, candidate) {
+    if (transaction.id && transaction.id === candidate.id) return 'exact'
+    if (transaction.card !== candidate.card || Number(transaction.amount) !== Number(candidate.amount)) return null
+    if (getFingerprint(transaction) === getFingerprint(candidate)) return 'exact'
+
+    const a = normalizeDescription(transaction.description)
+    const b = normalizeDescription(candidate.description)
+    const similar = !a || !b || a.includes(b) || b.includes(a)
+    return similar && daysApart(transaction.date, candidate.date) <= LIKELY_DAYS ? 'likely' : null
+}
+
+// Best match for a transaction among candidates - exact beats likely
+export function findMatch(transaction, candidates) {
+    let likely = null
+    for (const candidate of candidates) {
+        const status = compareTransactions(transaction, candidate)
+        if (status === 'exact') return { status, match: candidate }
+        if (status === 'likely' && !likely) likely = { status, match: candidate }
+    }
+    return likely || { status: 'new', match: null }
+}
+
+// Classify rows being imported against the existing transactions, those in
+// the trash and the rows before them in the same file
+export function classifyImport(rows, existing, trashed = []) {
+    const seen = []
+    return rows.map(transaction => {
+        const result = findMatch(transaction, [...existing, ...trashed, ...seen])
+        seen.push(transaction)
+        return { transaction, ...result }
+    })
+}
+
+// Transactions that duplicate an earlier one (by createdAt, then date)
+export function findDuplicates(transactions) {
+    const sorted = [...transactions].sort((a, b) =>
+        String(a.createdAt || '').localeCompare(String(b.createdAt || '')) || a.date.localeCompare(b.date)
+    )
+    const seen = []
+    const duplicates = []
+    sorted.forEach(transaction => {
+        const result = findMatch(transaction, seen)
+        if (result.match) {
+            duplicates.push({ transaction, ...result })
+        } else {
+            seen.push(transaction)
+        }
+    })
+    return duplicates
+}
+
+// Fields a duplicate can fill in on the copy being kept: a missing
+// description, a category where the kept copy only has 'other', and any
+// tags it lacks
+export function getMergeChanges(target, duplicate) {
+    const changes = {}
+    if (!target.description && duplicate.description) {
+        changes.description = duplicate.description
+    }
+    if (target.category === 'other' && duplicate.category && duplicate.category !== 'other') {
+        changes.category = duplicate.category
+        changes.points = calculatePoints({ ...target, ...changes })
+    }
+    const tags = (duplicate.tags || []).filter(tag => !(target.tags || []).includes(tag))
+    if (tags.length > 0) {
+        changes.tags = [...(target.tags || []), ...tags]
+    }
+    return changes
+}
+
+export function setupDuplicates(options) {
+    getTransactions = options.getTransactions
+    getTrashed = options.getTrashed
+    onChange = options.onChange
+
+    document.getElementById('findDuplicatesBtn')?.addEventListener('click', openFindDuplicates)
+    document.getElementById('duplicatesCancelBtn')?.addEventListener('click', () => closeReview(null))
+    document.getElementById('duplicatesApplyBtn')?.addEventListener('click', handleApply)
+    document.getElementById('duplicatesList')?.addEventListener('change', (e) => {
+        const index = e.target.dataset.index
+        if (index === undefined) return
+        review.rows[Number(index)].action = e.target.value
+        renderReview()
+    })
+}
+
+// Import rows after the user has reviewed any duplicates. `beforeWrite` runs
+// once the import is confirmed, before anything is written. Returns the write
+// result with skipped and merged counts, or null when the import was cancelled.
+export async function importWithReview(rows, beforeWrite = async () => {}) {
+    const existing = getTransactions()
+    const trashed = getTrashed()
+    const classified = classifyImport(rows, existing, trashed)
+
+    let decided = classified.map(r => ({ ...r, action: r.match ? 'skip' : 'add' }))
+    if (classified.some(r => r.match)) {
+        decided = await openReview('import', decided)
+        if (!decided) return null
+    }
+    await beforeWrite()
+
+    // Rows are added, merged into an existing transaction or into an earlier
+    // row of the file that is being added, or skipped. A merge whose earlier
+    // row is not being added has nothing to merge into and counts as skipped.
+    const existingById = new Map(existing.map(t => [t.id, t]))
+    const takenIds = new Set([...existing, ...trashed].map(t => t.id))
+    const toAdd = new Map()
+    const mergeChanges = new Map()
+    let merged = 0
+    let skipped = 0
+    decided.forEach(({ transaction, match, action }) => {
+        if (action === 'add') {
+            // A forced copy of an existing or trashed transaction needs an id of its own
+            const { id, ...copy } = transaction
+            toAdd.set(transaction, takenIds.has(id) ? copy : transaction)
+        } else if (action === 'merge' && existingById.has(match.id)) {
+            const target = { ...match, ...mergeChanges.get(match.id) }
+            mergeChanges.set(match.id, { ...mergeChanges.get(match.id), ...getMergeChanges(target, transaction) })
+            merged++
+        } else if (action === 'merge' && toAdd.has(match)) {
+            const target = toAdd.get(match)
+            toAdd.set(match, { ...target, ...getMergeChanges(target, transaction) })
+            merged++
+        } else {
+            skipped++
+        }
+    })
+
+    const merges = [...mergeChanges]
+        .map(([id, changes]) => ({ id, changes }))
+        .filter(u => Object.keys(u.changes).length > 0)
+    if (merges.length > 0) {
+        await updateTransactions(merges)
+    }
+
+    const result = toAdd.size > 0
+        ? await importTransactions([...toAdd.values()])
+        : { count: 0, written: 0, pending: 0, failed: 0 }
+    return { ...result, skipped, merged }
+}
+
+async function openFindDuplicates() {
+    const duplicates = findDuplicates(getTransactions())
+    if (duplicates.length === 0) {
+        alert('No duplicate transactions found')
+        return
+    }
+
+    const decided = await openReview('existing', duplicates.map(r => ({
+        ...r,
+        action: r.status === 'exact' ? 'delete' : 'keep'
+    })))
+    if (!decided) return
+
+    const merges = decided
+        .filter(r => r.action === 'merge')
+        .map(r => ({ id: r.match.id, changes: getMergeChanges(r.match, r.transaction) }))
+        .filter(u => Object.keys(u.changes).length > 0)
+    if (merges.length > 0) {
+        await updateTransactions(merges)
+    }
+
+    // Removed copies go to the trash
+    const removed = decided.filter(r => r.action === 'delete' || r.action === 'merge')
+    if (removed.length > 0) {
+        await trashTransactions(removed.map(r => r.transaction.id))
+    }
+    onChange()
+}
+
+function openReview(mode, rows) {
+    return new Promise(resolve => {
+        review = { mode, rows, resolve }
+        document.getElementById('duplicatesTitle').textContent = mode === 'import'
+            ? 'Possible Duplicates in Import'
+            : 'Duplicate Transactions'
+        renderReview()
+        document.getElementById('duplicatesModal').classList.remove('hidden')
+    })
+}
+
+function closeReview(result) {
+    document.getElementById('duplicatesModal').classList.add('hidden')
+    if (review) {
+        review.resolve(result)
+        review = null
+    }
+}
+
+function handleApply() {
+    closeReview(review.rows)
+}
+
+function describeTransaction(t) {
+    return [
+        formatDate(t.date),
+        getCardName(t.card),
+        `₹${Number(t.amount).toLocaleString('en-IN')}`,
+        formatCategory(t.category),
+        t.description || '-'
+    ].map(escapeHtml).join(' · ')
+}
+
+// Actions offered for a flagged row - a trashed transaction can't be merged into
+function getActions(row) {
+    if (review.mode !== 'import') return EXISTING_ACTIONS
+    if (!isTrashed(row.match)) return IMPORT_ACTIONS
+    const { merge, ...actions } = IMPORT_ACTIONS
+    return actions
+}
+
+// Where an import row's match is, when it is not an active transaction
+function describeMatchSource(match) {
+    if (isTrashed(match)) return 'In trash · '
+    if (review.rows.some(r => r.transaction === match)) return 'Earlier in this file · '
+    return ''
+}
+
+function renderReview() {
+    const isImport = review.mode === 'import'
+    const flagged = review.rows
+        .map((r, index) => ({ ...r, index }))
+        .filter(r => r.match)
+    const exact = flagged.filter(r => r.status === 'exact').length
+
+    document.getElementById('duplicatesSummary').textContent = isImport
+        ? `${review.rows.length} rows · ${exact} exact and ${flagged.length - exact} likely duplicates · ` +
+          `${review.rows.filter(r => r.action === 'add').length} will be added`
+        : `${exact} exact and ${flagged.length - exact} likely duplicates`
+
+    document.getElementById('duplicatesList').innerHTML = `
+        <table class="statement-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>${isImport ? 'Importing' : 'Transaction'}</th>
+                    <th>Matches</th>
+                    <th>Action</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${flagged.map(r => `
+                    <tr class="${r.action === 'skip' || r.action === 'delete' ? 'skipped' : ''}">
+                        <td><span class="duplicate-tag ${r.status}">${r.status === 'exact' ? 'Exact' : 'Likely'}</span></td>
+                        <td>${describeTransaction(r.transaction)}</td>
+                        <td>${isImport ? describeMatchSource(r.match) : ''}${describeTransaction(r.match)}</td>
+                        <td>
+                            <select data-index="${r.index}">
+                                ${Object.entries(getActions(r)).map(([id, label]) =>
+                                    `<option value="${id}" ${id === r.action ? 'selected' : ''}>${label}</option>`
+                                ).join('')}
+                            </select>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+}
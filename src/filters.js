@@ -0,0 +1,291 @@
+// List filters - per-section card tabs, search, ranges and sorting, kept in the URL
+import { CARDS } from './rewards.js'
+import { getCardYear, getStatementCycle } from './milestones.js'
+import { getInstanceLabel } from './cards.js'
+import { CATEGORIES, formatCategory, escapeHtml } from './format.js'
+
+// Date-range presets; each card's own period is used for its transactions
+export const DATE_PRESETS = {
+    month: 'This month',
+    statement: 'This statement cycle',
+    cardYear: 'This card year',
+    custom: 'Custom range'
+}
+
+export const SORT_FIELDS = ['date', 'card', 'category', 'description', 'amount', 'points']
+
+const DEFAULT_SORT = { field: 'date', direction: 'desc' }
+
+// Filter state per section. The breakdown only has card tabs.
+const filters = {
+    breakdown: { card: 'all' },
+    transactions: {
+        card: 'all',
+        search: '',
+        category: '',
+        tag: '',
+        minAmount: '',
+        maxAmount: '',
+        preset: '',
+        from: '',
+        to: '',
+        sort: { ...DEFAULT_SORT }
+    }
+}
+
+// URL parameter for each transactions filter
+const URL_PARAMS = {
+    card: 'card',
+    search: 'q',
+    category: 'category',
+    tag: 'tag',
+    minAmount: 'min',
+    maxAmount: 'max',
+    preset: 'range',
+    from: 'from',
+    to: 'to'
+}
+
+let onChange = () => {}
+
+export function getFilter(section) {
+    return filters[section]
+}
+
+// Date range { start, end } (end exclusive) for a transaction under a preset
+export function getPresetRange(preset, cardId, today) {
+    const card = CARDS[cardId]
+    switch (preset) {
+        case 'month':
+            return getStatementCycle(null, today)
+        case 'statement':
+            return getStatementCycle(card?.statementDay, today)
+        case 'cardYear':
+            return getCardYear(card?.anniversary, today)
+        default:
+            return null
+    }
+}
+
+function matchesSearch(t, search) {
+    const text = search.trim().toLowerCase()
+    if (!text) return true
+    return [t.description, t.category, formatCategory(t.category), getInstanceLabel(t), ...(t.tags || [])]
+        .some(value => String(value || '').toLowerCase().includes(text))
+}
+
+function inDateRange(t, filter, today) {
+    if (filter.preset === 'custom') {
+        return (!filter.from || t.date >= filter.from) && (!filter.to || t.date <= filter.to)
+    }
+    const range = getPresetRange(filter.preset, t.card, today)
+    return !range || (t.date >= range.start && t.date < range.end)
+}
+
+function compareBy(field) {
+    switch (field) {
+        case 'amount':
+        case 'points':
+            return (a, b) => (a[field] || 0) - (b[field] || 0)
+        case 'card':
+            return (a, b) => (CARDS[a.card]?.name || a.card).localeCompare(CARDS[b.card]?.name || b.card)
+        case 'category':
+            return (a, b) => formatCategory(a.category).localeCompare(formatCategory(b.category))
+        default:
+            return (a, b) => String(a[field] || '').localeCompare(String(b[field] || ''))
+    }
+}
+
+// Apply a section's filters and sort order to a list of transactions
+export function applyFilters(transactions, filter, today) {
+    const min = filter.minAmount === '' || filter.minAmount == null ? null : Number(filter.minAmount)
+    const max = filter.maxAmount === '' || filter.maxAmount == null ? null : Number(filter.maxAmount)
+
+    const filtered = transactions.filter(t =>
+        (filter.card === 'all' || t.card === filter.card) &&
+        (!filter.category || t.category === filter.category) &&
+        (!filter.tag || (t.tags || []).includes(filter.tag)) &&
+        (min === null || t.amount >= min) &&
+        (max === null || t.amount <= max) &&
+        matchesSearch(t, filter.search || '') &&
+        inDateRange(t, filter, today)
+    )
+
+    if (!filter.sort) return filtered
+    const compare = compareBy(filter.sort.field)
+    const sign = filter.sort.direction === 'asc' ? 1 : -1
+    return filtered.sort((a, b) => sign * compare(a, b))
+}
+
+// Whether anything beyond the card tab narrows the list
+export function hasActiveFilters(filter) {
+    return Boolean(filter.search || filter.category || filter.tag || filter.minAmount !== '' ||
+        filter.maxAmount !== '' || filter.preset)
+}
+
+// Filters from a URL query string (unknown or invalid values are ignored)
+export function readFilterParams(query) {
+    const params = new URLSearchParams(query)
+    const transactions = {}
+    Object.entries(URL_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) transactions[key] = params.get(param)
+    })
+    if (transactions.preset && !DATE_PRESETS[transactions.preset]) delete transactions.preset
+    if (transactions.category && !CATEGORIES[transactions.category]) delete transactions.category
+
+    // sort=amount (ascending) or sort=-amount (descending)
+    const sort = params.get('sort')
+    if (sort && SORT_FIELDS.includes(sort.replace(/^-/, ''))) {
+        transactions.sort = { field: sort.replace(/^-/, ''), direction: sort.startsWith('-') ? 'desc' : 'asc' }
+    }
+
+    return {
+        breakdown: params.has('breakdownCard') ? { card: params.get('breakdownCard') } : {},
+        transactions
+    }
+}
+
+// Query string for the current filters - only what differs from the defaults
+export function writeFilterParams(state) {
+    const params = new URLSearchParams()
+    if (state.breakdown.card !== 'all') params.set('breakdownCard', state.breakdown.card)
+
+    const filter = state.transactions
+    Object.entries(URL_PARAMS).forEach(([key, param]) => {
+        if (key === 'card' ? filter.card !== 'all' : filter[key]) params.set(param, filter[key])
+    })
+    if (filter.preset !== 'custom') {
+        params.delete('from')
+        params.delete('to')
+    }
+
+    const { field, direction } = filter.sort
+    if (field !== DEFAULT_SORT.field || direction !== DEFAULT_SORT.direction) {
+        params.set('sort', (direction === 'desc' ? '-' : '') + field)
+    }
+    return params.toString()
+}
+
+export function setupFilters(options) {
+    onChange = options.onChange
+
+    const fromUrl = readFilterParams(window.location.search)
+    Object.assign(filters.breakdown, fromUrl.breakdown)
+    Object.assign(filters.transactions, fromUrl.transactions)
+
+    const categorySelect = document.getElementById('filterCategory')
+    categorySelect.innerHTML = '<option value="">All categories</option>' + Object.entries(CATEGORIES)
+        .map(([id, name]) => `<option value="${id}">${name}</option>`)
+        .join('')
+    document.getElementById('filterPreset').innerHTML = '<option value="">All dates</option>' + Object.entries(DATE_PRESETS)
+        .map(([id, name]) => `<option value="${id}">${name}</option>`)
+        .join('')
+
+    const bar = document.getElementById('transactionFilters')
+    bar.addEventListener('input', handleFilterInput)
+    bar.addEventListener('change', handleFilterInput)
+    document.getElementById('filterClearBtn').addEventListener('click', clearFilters)
+
+    // Sortable column headers, and tags that filter on themselves
+    document.getElementById('transactionsContainer').addEventListener('click', (e) => {
+        const header = e.target.closest('th[data-sort]')
+        if (header) setSort(header.dataset.sort)
+        const tag = e.target.closest('[data-tag]')
+        if (tag) setTagFilter(tag.dataset.tag)
+    })
+
+    renderFilterBar()
+}
+
+function resetTransactionFilters() {
+    Object.assign(filters.transactions, {
+        card: 'all',
+        search: '',
+        category: '',
+        tag: '',
+        minAmount: '',
+        maxAmount: '',
+        preset: '',
+        from: '',
+        to: '',
+        sort: { ...DEFAULT_SORT }
+    })
+}
+
+// Keep the URL in step with the filters, without adding history entries
+// for every keystroke
+function updateUrl() {
+    const query = writeFilterParams(filters)
+    const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash
+    window.history.replaceState(null, '', url)
+}
+
+export function setCardFilter(section, card) {
+    filters[section].card = card
+    updateUrl()
+}
+
+function setTagFilter(tag) {
+    filters.transactions.tag = tag
+    renderFilterBar()
+    updateUrl()
+    onChange()
+}
+
+function setSort(field) {
+    const { sort } = filters.transactions
+    filters.transactions.sort = sort.field === field
+        ? { field, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+        : { field, direction: field === 'date' || field === 'amount' || field === 'points' ? 'desc' : 'asc' }
+    updateUrl()
+    onChange()
+}
+
+function handleFilterInput(e) {
+    const key = e.target.dataset.filter
+    if (!key) return
+    filters.transactions[key] = e.target.value
+    renderFilterBar()
+    updateUrl()
+    onChange()
+}
+
+function clearFilters() {
+    const { card, sort } = filters.transactions
+    resetTransactionFilters()
+    Object.assign(filters.transactions, { card, sort })
+    renderFilterBar()
+    updateUrl()
+    onChange()
+}
+
+// Tags offered in the tag filter; a selected tag stays listed even when no
+// transaction has it any more
+export function renderTagOptions(tags) {
+    const select = document.getElementById('filterTag')
+    if (!select) return
+    const { tag } = filters.transactions
+    const options = tag && !tags.includes(tag) ? [...tags, tag] : tags
+    select.innerHTML = '<option value="">All tags</option>' + options
+        .map(t => `<option value="${escapeHtml(t)}">${escapeHtml(t)}</option>`)
+        .join('')
+    select.value = tag
+    select.classList.toggle('hidden', options.length === 0)
+}
+
+// Show the current transactions filters in the filter bar
+export function renderFilterBar() {
+    const filter = filters.transactions
+    document.querySelectorAll('#transactionFilters [data-filter]').forEach(input => {
+        if (document.activeElement !== input) input.value = filter[input.dataset.filter]
+    })
+    document.getElementById('filterCustomRange').classList.toggle('hidden', filter.preset !== 'custom')
+    document.getElementById('filterClearBtn').disabled = !hasActiveFilters(filter)
+}
+
+// Sort arrow for a column header
+export function getSortIndicator(field) {
+    const { sort } = filters.transactions
+    if (sort.field !== field) return ''
+    return sort.direction === 'asc' ? ' ▲' : ' ▼'
+}
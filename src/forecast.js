@@ -0,0 +1,59 @@
+// Milestone forecasting - projects the membership year from recent spending
+import { getSetting, saveSetting } from './db.js'
+import { parseDate, addDays, todayString } from './milestones.js'
+
+const WEEKS_SETTING = 'forecastWeeks'
+const DAY_MS = 24 * 60 * 60 * 1000
+const DAYS_PER_MONTH = 365.25 / 12
+
+// Run-rate windows offered next to the milestone bar
+export const FORECAST_WEEKS = [4, 8, 12, 26]
+const DEFAULT_WEEKS = 8
+
+export function getForecastWeeks() {
+    const weeks = getSetting(WEEKS_SETTING, DEFAULT_WEEKS)
+    return FORECAST_WEEKS.includes(weeks) ? weeks : DEFAULT_WEEKS
+}
+
+export function saveForecastWeeks(weeks) {
+    return saveSetting(WEEKS_SETTING, weeks)
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / DAY_MS)
+}
+
+// Average daily spend over the last `weeks` weeks up to and including today
+export function getRunRate(cardTx, weeks, today = todayString()) {
+    const days = weeks * 7
+    const from = addDays(today, -(days - 1))
+    const spend = cardTx
+        .filter(t => t.date >= from && t.date <= today)
+        .reduce((sum, t) => sum + t.amount, 0)
+    return spend / days
+}
+
+// Projection for each milestone of the current membership year: when the
+// run-rate reaches it, whether that is before the anniversary and the
+// monthly spend needed to make it in time
+export function forecastMilestones(milestones, spend, year, dailyRate, today = todayString()) {
+    const daysLeft = Math.max(daysBetween(today, year.end), 0)
+
+    return milestones.map(milestone => {
+        const remaining = milestone.spend - spend
+        if (remaining <= 0) {
+            return { milestone, reached: true }
+        }
+
+        const daysNeeded = dailyRate > 0 ? Math.ceil(remaining / dailyRate) : null
+        const projectedDate = daysNeeded !== null ? addDays(today, daysNeeded) : null
+        return {
+            milestone,
+            reached: false,
+            remaining,
+            projectedDate,
+            onTrack: projectedDate !== null && projectedDate < year.end,
+            requiredMonthly: daysLeft > 0 ? remaining / Math.max(daysLeft / DAYS_PER_MONTH, 1) : null
+        }
+    })
+}
@@ -0,0 +1,233 @@
+// Foreign-currency transactions - rupee conversion, markup fees and the
+// fees-versus-points report
+import { getSetting, saveSetting } from './db.js'
+import { CARDS, getCardList, getRuleVersion } from './rewards.js'
+import { getCardPointValue, formatPercent } from './valuation.js'
+import { formatRupees, escapeHtml } from './format.js'
+
+const RATES_SETTING = 'exchangeRates'
+
+// Markup a card charges on foreign-currency spend when none is set on the card
+export const DEFAULT_MARKUP = 3.5
+
+// GST charged on the markup
+export const GST_RATE = 18
+
+// Currencies offered in the transaction form
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'AED', 'SGD', 'THB', 'JPY', 'AUD', 'CAD', 'CHF', 'HKD', 'MYR', 'LKR']
+
+let getTransactions = () => []
+
+function round2(value) {
+    return Math.round(value * 100) / 100
+}
+
+// Markup percentage (before GST) a card charges
+export function getForexMarkup(cardId) {
+    const markup = CARDS[cardId]?.forexMarkup
+    return markup != null ? markup : DEFAULT_MARKUP
+}
+
+// Last rate used for each currency, in rupees per unit
+export function getStoredRates() {
+    return getSetting(RATES_SETTING, {})
+}
+
+export function getStoredRate(currency) {
+    return getStoredRates()[currency] || null
+}
+
+function saveRate(currency, rate) {
+    if (getStoredRate(currency) === rate) return Promise.resolve()
+    return saveSetting(RATES_SETTING, { ...getStoredRates(), [currency]: rate })
+}
+
+// Rupee amount billed for a foreign amount and the markup fee on it,
+// including GST: { amount, fee }
+export function convertForeignAmount(originalAmount, rate, markup) {
+    const amount = round2(originalAmount * rate)
+    const fee = round2(amount * markup / 100 * (1 + GST_RATE / 100))
+    return { amount, fee }
+}
+
+// Foreign-currency fields for a new transaction. Points are earned on the
+// converted amount; the markup fee is billed separately and earns none.
+export function createForexDetails(cardId, currency, originalAmount, rate) {
+    const markup = getForexMarkup(cardId)
+    const { amount, fee } = convertForeignAmount(originalAmount, rate, markup)
+    return {
+        amount,
+        originalCurrency: currency,
+        originalAmount,
+        exchangeRate: rate,
+        forexMarkup: markup,
+        forexFee: fee
+    }
+}
+
+// Changes when the rupee amount of a foreign transaction is corrected, e.g.
+// to match the statement: the rate becomes the effective one and the fee
+// follows the new amount
+export function getAmountChanges(transaction, amount) {
+    if (!isForeign(transaction)) return {}
+    const rate = Math.round(amount / transaction.originalAmount * 10000) / 10000
+    return {
+        exchangeRate: rate,
+        forexFee: convertForeignAmount(transaction.originalAmount, amount / transaction.originalAmount, transaction.forexMarkup).fee
+    }
+}
+
+// Remember the rate so it is offered next time
+export function rememberRate(transaction) {
+    return transaction.originalCurrency
+        ? saveRate(transaction.originalCurrency, transaction.exchangeRate)
+        : Promise.resolve()
+}
+
+export function isForeign(transaction) {
+    return Boolean(transaction.originalCurrency)
+}
+
+export function formatForeignAmount(transaction) {
+    return `${transaction.originalCurrency} ${transaction.originalAmount.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`
+}
+
+// Points above the card's base earn rate, e.g. from the 3X international
+// multiplier on Charge Metal
+export function getExtraPoints(transaction) {
+    const card = CARDS[transaction.card]
+    if (!card) return 0
+    const base = Math.floor(transaction.amount / getRuleVersion(card, transaction.date).spendPerPoint)
+    return Math.max((transaction.points || 0) - base, 0)
+}
+
+// Fees paid against the value of the extra points, per card:
+// { card, count, spend, fees, extraPoints, value, net }
+export function getForexReport(transactions) {
+    return getCardList()
+        .map(card => {
+            const cardTx = transactions.filter(t => t.card === card.id && isForeign(t))
+            const fees = round2(cardTx.reduce((sum, t) => sum + (t.forexFee || 0), 0))
+            const extraPoints = cardTx.reduce((sum, t) => sum + getExtraPoints(t), 0)
+            const value = extraPoints * getCardPointValue(card.id)
+            return {
+                card,
+                count: cardTx.length,
+                spend: cardTx.reduce((sum, t) => sum + t.amount, 0),
+                fees,
+                extraPoints,
+                value,
+                net: value - fees
+            }
+        })
+        .filter(row => row.count > 0)
+}
+
+export function setupForex(options) {
+    getTransactions = options.getTransactions
+
+    const currency = document.getElementById('currency')
+    if (!currency) return
+    currency.innerHTML = '<option value="">INR</option>' + CURRENCIES
+        .map(code => `<option value="${code}">${code}</option>`)
+        .join('')
+
+    currency.addEventListener('change', handleCurrencyChange)
+    document.getElementById('card').addEventListener('change', updateConversion)
+    document.getElementById('foreignAmount').addEventListener('input', updateConversion)
+    document.getElementById('exchangeRate').addEventListener('input', updateConversion)
+}
+
+function handleCurrencyChange() {
+    const currency = document.getElementById('currency').value
+    document.querySelectorAll('.forex-field').forEach(field => field.classList.toggle('hidden', !currency))
+    document.getElementById('foreignAmount').required = Boolean(currency)
+    document.getElementById('exchangeRate').required = Boolean(currency)
+
+    // The rupee amount is worked out from the foreign amount
+    const amountInput = document.getElementById('amount')
+    amountInput.readOnly = Boolean(currency)
+    if (currency) {
+        document.getElementById('exchangeRate').value = getStoredRate(currency) || ''
+        document.getElementById('category').value = 'international'
+    } else {
+        amountInput.value = ''
+    }
+    updateConversion()
+}
+
+// Foreign-currency fields from the transaction form, or null for a rupee
+// transaction
+export function getFormForexDetails(cardId) {
+    const currency = document.getElementById('currency')?.value
+    if (!currency) return null
+
+    const originalAmount = parseFloat(document.getElementById('foreignAmount').value)
+    const rate = parseFloat(document.getElementById('exchangeRate').value)
+    if (!(originalAmount > 0) || !(rate > 0)) return null
+    return createForexDetails(cardId, currency, originalAmount, rate)
+}
+
+function updateConversion() {
+    const preview = document.getElementById('forexPreview')
+    if (!preview || !document.getElementById('currency').value) return
+
+    const cardId = document.getElementById('card').value
+    const details = getFormForexDetails(cardId)
+    document.getElementById('amount').value = details ? details.amount : ''
+    preview.textContent = details
+        ? `Markup ${formatRupees(details.forexFee)} (${details.forexMarkup}% + ${GST_RATE}% GST), billed separately`
+        : `Markup ${getForexMarkup(cardId)}% + ${GST_RATE}% GST`
+}
+
+// Clear the foreign-currency fields after a transaction is added
+export function resetForexForm() {
+    const currency = document.getElementById('currency')
+    if (!currency) return
+    currency.value = ''
+    document.getElementById('foreignAmount').value = ''
+    handleCurrencyChange()
+}
+
+export function renderForexReport() {
+    const container = document.getElementById('forexReport')
+    if (!container) return
+
+    const rows = getForexReport(getTransactions())
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state">No foreign-currency transactions yet. Pick a currency when adding a transaction to track markup fees.</div>'
+        return
+    }
+
+    container.innerHTML = `
+        <table class="statement-table">
+            <thead>
+                <tr>
+                    <th>Card</th>
+                    <th style="text-align: right">Transactions</th>
+                    <th style="text-align: right">Spend</th>
+                    <th style="text-align: right">Markup fees</th>
+                    <th style="text-align: right">Extra points</th>
+                    <th style="text-align: right">Points value</th>
+                    <th style="text-align: right">Net</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.card.name)} <span class="forex-markup">${getForexMarkup(row.card.id)}% markup</span></td>
+                        <td style="text-align: right">${row.count.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right">${formatRupees(Math.round(row.spend))}</td>
+                        <td style="text-align: right">${formatRupees(Math.round(row.fees))}</td>
+                        <td style="text-align: right">${row.extraPoints.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right">${formatRupees(Math.round(row.value))}</td>
+                        <td style="text-align: right" class="forex-net ${row.net < 0 ? 'negative' : ''}">
+                            ${row.net < 0 ? '−' : '+'}${formatRupees(Math.abs(Math.round(row.net)))}
+                            <span class="forex-markup">${formatPercent(row.spend ? row.net / row.spend * 100 : 0)}</span>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+}
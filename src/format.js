@@ -0,0 +1,74 @@
+// Shared display helpers
+
+// Spending categories, in the order they appear in the category select
+export const CATEGORIES = {
+    dining: 'Dining',
+    travel: 'Travel',
+    shopping: 'Shopping',
+    groceries: 'Groceries',
+    entertainment: 'Entertainment',
+    international: 'International',
+    gyftr: 'Gyftr Vouchers',
+    fuel: 'Fuel',
+    insurance: 'Insurance',
+    utilities: 'Utilities',
+    other: 'Other'
+}
+
+export function formatCategory(cat) {
+    return CATEGORIES[cat] || cat
+}
+
+export function formatDate(dateStr) {
+    const date = new Date(dateStr)
+    return date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })
+}
+
+export function formatRupees(amount) {
+    return '₹' + amount.toLocaleString('en-IN')
+}
+
+// Summary of a bulk write: { count, written, pending, failed } plus
+// optional skipped / merged counts from the duplicate review and rejected /
+// cardsAdded counts from a backup restore
+export function formatWriteResult(result, verb = 'Imported') {
+    const lines = [`${verb} ${result.count.toLocaleString('en-IN')} transactions`]
+    if (result.pending || result.failed) {
+        lines.push(`${result.written.toLocaleString('en-IN')} saved to your account`)
+    }
+    if (result.pending) {
+        lines.push(`${result.pending.toLocaleString('en-IN')} waiting to sync - they will be retried automatically`)
+    }
+    if (result.failed) {
+        lines.push(`${result.failed.toLocaleString('en-IN')} failed - see Sync Conflicts to retry`)
+    }
+    if (result.skipped) {
+        lines.push(`${result.skipped.toLocaleString('en-IN')} duplicates skipped`)
+    }
+    if (result.merged) {
+        lines.push(`${result.merged.toLocaleString('en-IN')} merged into existing transactions`)
+    }
+    if (result.rejected) {
+        lines.push(`${result.rejected.toLocaleString('en-IN')} invalid rows rejected`)
+    }
+    if (result.cardsAdded) {
+        lines.push(`${result.cardsAdded.toLocaleString('en-IN')} cards added from the backup`)
+    }
+    if (result.ledgerAdded) {
+        lines.push(`${result.ledgerAdded.toLocaleString('en-IN')} redemptions and adjustments added from the backup`)
+    }
+    if (result.trashAdded) {
+        lines.push(`${result.trashAdded.toLocaleString('en-IN')} transactions added to the trash from the backup`)
+    }
+    return lines.join('\n')
+}
+
+// Escape text from user files before it goes into innerHTML
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+}
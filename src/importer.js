@@ -0,0 +1,260 @@
+// Statement import - column mapping, preview and import of Amex CSV/XLSX downloads
+import { getSetting, saveSetting } from './db.js'
+import { CARDS, calculatePoints } from './rewards.js'
+import { CATEGORIES, formatDate, formatWriteResult, escapeHtml } from './format.js'
+import { importWithReview } from './duplicates.js'
+import { categorize } from './merchants.js'
+import {
+    readStatementFile,
+    guessMapping,
+    getDefaultStatementCard,
+    getHeaderSignature,
+    mapStatementRows
+} from './statement.js'
+
+const MAPPINGS_SETTING = 'statementMappings'
+
+// State for the file being imported
+let statement = null
+let mapping = null
+let categoryOverrides = {}
+let excludedRows = new Set()
+
+export function setupStatementImport() {
+    document.getElementById('importStatementBtn')?.addEventListener('click', () => {
+        document.getElementById('statementFile').click()
+    })
+    document.getElementById('statementFile')?.addEventListener('change', handleStatementFile)
+    document.getElementById('statementCancelBtn')?.addEventListener('click', closeModal)
+    document.getElementById('statementImportBtn')?.addEventListener('click', handleStatementImport)
+    document.getElementById('statementMapping')?.addEventListener('change', handleMappingChange)
+    document.getElementById('statementPreview')?.addEventListener('change', handlePreviewChange)
+}
+
+async function handleStatementFile(event) {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+        statement = await readStatementFile(file)
+    } catch (error) {
+        console.error('Error reading statement:', error)
+        alert('Could not read this file. Please upload the CSV or Excel statement download.')
+        return
+    }
+
+    if (statement.headers.length === 0 || statement.rows.length === 0) {
+        alert('No transactions found in this file')
+        return
+    }
+
+    const saved = getSetting(MAPPINGS_SETTING, {})[getHeaderSignature(statement.headers)]
+    mapping = saved ? { ...guessMapping(statement.headers), ...saved } : guessMapping(statement.headers)
+    // The remembered card may have been removed since
+    if (!CARDS[mapping.card]) mapping.card = getDefaultStatementCard()
+    categoryOverrides = {}
+    excludedRows = new Set()
+
+    document.getElementById('statementFileName').textContent = file.name
+    document.getElementById('statementSavedNote').classList.toggle('hidden', !saved)
+    document.getElementById('statementRemember').checked = !saved
+
+    renderMapping()
+    renderPreview()
+    document.getElementById('statementModal').classList.remove('hidden')
+}
+
+function closeModal() {
+    document.getElementById('statementModal').classList.add('hidden')
+    statement = null
+}
+
+function renderMapping() {
+    const columnOptions = (allowNone) => [
+        allowNone ? `<option value="">${allowNone}</option>` : '',
+        ...statement.headers.map((h, i) => `<option value="${i}">${escapeHtml(h || `Column ${i + 1}`)}</option>`)
+    ].join('')
+
+    const cardOptions = Object.entries(CARDS)
+        .map(([id, card]) => `<option value="${id}">${escapeHtml(card.name)}</option>`)
+        .join('')
+
+    const container = document.getElementById('statementMapping')
+    container.innerHTML = `
+        <div class="form-group">
+            <label for="mapDate">Date column</label>
+            <select id="mapDate" data-field="date">${columnOptions('Select column')}</select>
+        </div>
+        <div class="form-group">
+            <label for="mapDescription">Description column</label>
+            <select id="mapDescription" data-field="description">${columnOptions('None')}</select>
+        </div>
+        <div class="form-group">
+            <label for="mapAmount">Amount column</label>
+            <select id="mapAmount" data-field="amount">${columnOptions('Select column')}</select>
+        </div>
+        <div class="form-group">
+            <label for="mapType">Debit/Credit column</label>
+            <select id="mapType" data-field="type">${columnOptions('None - use amount sign')}</select>
+        </div>
+        <div class="form-group">
+            <label for="mapCreditsAre">Credits are</label>
+            <select id="mapCreditsAre" data-field="creditsAre">
+                <option value="negative">Negative amounts / CR</option>
+                <option value="positive">Positive amounts</option>
+            </select>
+        </div>
+        <div class="form-group">
+            <label for="mapDateFormat">Date format</label>
+            <select id="mapDateFormat" data-field="dateFormat">
+                <option value="DMY">DD/MM/YYYY</option>
+                <option value="MDY">MM/DD/YYYY</option>
+            </select>
+        </div>
+        <div class="form-group">
+            <label for="mapCard">Card</label>
+            <select id="mapCard" data-field="card">${cardOptions}</select>
+        </div>
+    `
+
+    container.querySelectorAll('select').forEach(select => {
+        select.value = String(mapping[select.dataset.field])
+    })
+}
+
+function handleMappingChange(e) {
+    const field = e.target.dataset.field
+    if (!field) return
+
+    const isColumn = ['date', 'description', 'amount', 'type'].includes(field)
+    mapping[field] = isColumn && e.target.value !== '' ? Number(e.target.value) : e.target.value
+    renderPreview()
+}
+
+function handlePreviewChange(e) {
+    const index = Number(e.target.dataset.index)
+    if (e.target.classList.contains('row-category')) {
+        categoryOverrides[index] = e.target.value
+    } else if (e.target.classList.contains('row-include')) {
+        if (e.target.checked) {
+            excludedRows.delete(index)
+        } else {
+            excludedRows.add(index)
+        }
+    }
+    renderPreview()
+}
+
+// Rows that will be imported, with categories and points applied
+function getImportRows() {
+    if (mapping.date === '' || mapping.amount === '') {
+        return []
+    }
+
+    return mapStatementRows(statement.rows, mapping, categorize).map((row, index) => {
+        if (!row.transaction) return { ...row, index }
+
+        const transaction = {
+            ...row.transaction,
+            category: categoryOverrides[index] || row.transaction.category
+        }
+        transaction.points = calculatePoints(transaction)
+
+        return {
+            ...row,
+            index,
+            transaction,
+            included: !row.skipReason && !excludedRows.has(index)
+        }
+    })
+}
+
+function renderPreview() {
+    const container = document.getElementById('statementPreview')
+    const importBtn = document.getElementById('statementImportBtn')
+    const rows = getImportRows()
+
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state">Choose the date and amount columns to preview transactions.</div>'
+        importBtn.disabled = true
+        importBtn.textContent = 'Import'
+        return
+    }
+
+    const included = rows.filter(r => r.included)
+    const totalPoints = included.reduce((sum, r) => sum + r.transaction.points, 0)
+
+    container.innerHTML = `
+        <div class="statement-summary">
+            ${included.length} of ${rows.length} rows selected · ${totalPoints.toLocaleString('en-IN')} points
+        </div>
+        <table class="statement-table">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>Date</th>
+                    <th>Description</th>
+                    <th>Category</th>
+                    <th style="text-align: right">Amount</th>
+                    <th style="text-align: right">Points</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(r => r.transaction ? `
+                    <tr class="${r.included ? '' : 'skipped'}">
+                        <td><input type="checkbox" class="row-include" data-index="${r.index}" ${r.included ? 'checked' : ''} ${r.skipReason ? 'disabled' : ''}></td>
+                        <td>${formatDate(r.transaction.date)}</td>
+                        <td>${escapeHtml(r.transaction.description) || '-'}${r.skipReason ? ` <span class="skip-reason">${r.skipReason}</span>` : ''}</td>
+                        <td>
+                            <select class="row-category" data-index="${r.index}">
+                                ${Object.entries(CATEGORIES).map(([id, name]) =>
+                                    `<option value="${id}" ${id === r.transaction.category ? 'selected' : ''}>${name}</option>`
+                                ).join('')}
+                            </select>
+                        </td>
+                        <td style="text-align: right">₹${r.transaction.amount.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right" class="points-earned ${r.transaction.points === 0 ? 'zero' : ''}">${r.transaction.points.toLocaleString('en-IN')}</td>
+                    </tr>
+                ` : `
+                    <tr class="skipped">
+                        <td></td>
+                        <td colspan="5">${escapeHtml(r.raw.join(', '))} <span class="skip-reason">${r.skipReason}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+
+    importBtn.disabled = included.length === 0
+    importBtn.textContent = `Import ${included.length} transactions`
+}
+
+async function handleStatementImport() {
+    const rows = getImportRows().filter(r => r.included)
+    if (rows.length === 0) return
+
+    const importBtn = document.getElementById('statementImportBtn')
+    importBtn.disabled = true
+
+    if (document.getElementById('statementRemember').checked) {
+        const saved = getSetting(MAPPINGS_SETTING, {})
+        saved[getHeaderSignature(statement.headers)] = mapping
+        await saveSetting(MAPPINGS_SETTING, saved)
+    }
+
+    try {
+        // Back to the preview if the duplicate review is cancelled
+        const result = await importWithReview(rows.map(r => r.transaction))
+        if (result === null) {
+            importBtn.disabled = false
+            return
+        }
+        closeModal()
+        alert(formatWriteResult(result))
+    } catch (error) {
+        console.error('Error importing statement:', error)
+        alert('Import failed. Please try again.')
+        importBtn.disabled = false
+    }
+}
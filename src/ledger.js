@@ -0,0 +1,271 @@
+// Points ledger - redemptions, transfers and adjustments against points earned
+import { addLedgerEntry, deleteLedgerEntry } from './db.js'
+import { CARDS, getCardList, getMonthlyBonusEvents, calculateYearBonus } from './rewards.js'
+import { getCardName, getCardTheme } from './cards.js'
+import { getCardYears, isInCardYear } from './milestones.js'
+import { formatDate, escapeHtml } from './format.js'
+
+// Kinds of ledger entries. Redemptions store the points spent as a positive
+// number; adjustments are signed.
+export const LEDGER_TYPES = {
+    voucher: { label: 'Voucher redemption' },
+    transfer: { label: 'Partner transfer' },
+    statementCredit: { label: 'Statement credit' },
+    adjustment: { label: 'Manual adjustment' }
+}
+
+// Where points can go
+export const REDEMPTION_ROUTES = {
+    gold18k: { type: 'voucher', name: '18K Gold Collection' },
+    gold24k: { type: 'voucher', name: '24K Gold Collection' },
+    otherVoucher: { type: 'voucher', name: 'Other voucher' },
+    marriott: { type: 'transfer', name: 'Marriott Bonvoy' },
+    hilton: { type: 'transfer', name: 'Hilton Honors' },
+    airIndia: { type: 'transfer', name: 'Air India Maharaja Club' },
+    krisflyer: { type: 'transfer', name: 'Singapore KrisFlyer' },
+    avios: { type: 'transfer', name: 'British Airways Avios' },
+    emirates: { type: 'transfer', name: 'Emirates Skywards' },
+    etihad: { type: 'transfer', name: 'Etihad Guest' },
+    qatar: { type: 'transfer', name: 'Qatar Privilege Club' },
+    statementCredit: { type: 'statementCredit', name: 'Statement credit' }
+}
+
+let getData = () => ({ transactions: [], entries: [] })
+let onChange = () => {}
+
+// Change in balance for a ledger entry
+export function getLedgerDelta(entry) {
+    return entry.type === 'adjustment' ? entry.points : -entry.points
+}
+
+// Bonus events already worked out, per transactions array and card. The
+// summary, ledger, valuation, charts and reconciliation all render from the
+// same array, so each card's events are replayed once per change; a catalog
+// change replaces the card object and misses the cache.
+const bonusCache = new WeakMap()
+
+// Bonus points posted by period rules for one card, dated on the transaction
+// that earned them (e.g. the one that crossed a milestone). `transactions`
+// is the full list; the card's own are picked out here.
+export function getBonusEvents(cardId, transactions) {
+    const card = CARDS[cardId]
+    if (!card) return []
+
+    if (!bonusCache.has(transactions)) bonusCache.set(transactions, new Map())
+    const cached = bonusCache.get(transactions).get(cardId)
+    if (cached && cached.card === card) return cached.events
+
+    const events = replayBonusEvents(card, transactions.filter(t => t.card === cardId))
+    bonusCache.get(transactions).set(cardId, { card, events })
+    return events
+}
+
+function replayBonusEvents(card, cardTx) {
+    const cardId = card.id
+    const events = getMonthlyBonusEvents(cardId, cardTx).map(e => ({ card: cardId, ...e }))
+    getCardYears(card.anniversary, cardTx).forEach(year => {
+        const yearTx = cardTx
+            .filter(t => isInCardYear(t, year))
+            .sort((a, b) => a.date.localeCompare(b.date))
+
+        // Most years earn no bonus; skip replaying them transaction by transaction
+        if (calculateYearBonus(cardId, yearTx, year.start) === 0) return
+
+        let previous = 0
+        yearTx.forEach((t, index) => {
+            const bonus = calculateYearBonus(cardId, yearTx.slice(0, index + 1), year.start)
+            if (bonus > previous) {
+                events.push({ card: cardId, date: t.date, points: bonus - previous })
+            }
+            previous = bonus
+        })
+    })
+    return events
+}
+
+// All earning and burning rows, oldest first, with a running balance per card
+export function buildLedger(transactions, entries) {
+    const rows = [
+        ...transactions.map(t => ({
+            kind: 'earn',
+            card: t.card,
+            date: t.date,
+            label: t.description || 'Transaction',
+            points: t.points || 0
+        })),
+        ...getCardList().flatMap(card =>
+            getBonusEvents(card.id, transactions).map(e => ({
+                kind: 'bonus',
+                card: e.card,
+                date: e.date,
+                label: 'Bonus points',
+                points: e.points
+            }))
+        ),
+        ...entries.map(e => ({
+            kind: e.type === 'adjustment' ? 'adjustment' : 'burn',
+            id: e.id,
+            card: e.card,
+            date: e.date,
+            label: describeEntry(e),
+            points: getLedgerDelta(e)
+        }))
+    ]
+
+    // Earnings before burns on the same day
+    const order = { earn: 0, bonus: 1, adjustment: 2, burn: 3 }
+    rows.sort((a, b) => a.date.localeCompare(b.date) || order[a.kind] - order[b.kind])
+
+    const balances = {}
+    rows.forEach(row => {
+        balances[row.card] = (balances[row.card] || 0) + row.points
+        row.balance = balances[row.card]
+    })
+    return rows
+}
+
+// Current points balance per card
+export function getBalances(transactions, entries) {
+    const balances = {}
+    buildLedger(transactions, entries).forEach(row => {
+        balances[row.card] = row.balance
+    })
+    return balances
+}
+
+function describeEntry(entry) {
+    const route = REDEMPTION_ROUTES[entry.route]
+    const parts = [route ? route.name : LEDGER_TYPES[entry.type]?.label || entry.type]
+    if (entry.partnerPoints) parts.push(`${entry.partnerPoints.toLocaleString('en-IN')} partner pts`)
+    if (entry.description) parts.push(entry.description)
+    return parts.join(' · ')
+}
+
+export function setupLedger(options) {
+    getData = options.getData
+    onChange = options.onChange
+
+    document.getElementById('ledgerForm')?.addEventListener('submit', handleLedgerSubmit)
+    document.getElementById('ledgerType')?.addEventListener('change', renderRouteOptions)
+    document.getElementById('ledgerCardFilter')?.addEventListener('change', renderLedger)
+    document.getElementById('ledgerDate').valueAsDate = new Date()
+    renderRouteOptions()
+}
+
+function renderRouteOptions() {
+    const type = document.getElementById('ledgerType').value
+    const routes = Object.entries(REDEMPTION_ROUTES).filter(([, r]) => r.type === type)
+    const routeGroup = document.getElementById('ledgerRouteGroup')
+
+    routeGroup.classList.toggle('hidden', routes.length === 0)
+    document.getElementById('ledgerRoute').innerHTML = routes
+        .map(([id, r]) => `<option value="${id}">${r.name}</option>`)
+        .join('')
+    document.getElementById('ledgerPartnerGroup').classList.toggle('hidden', type !== 'transfer')
+    document.getElementById('ledgerPointsLabel').textContent = type === 'adjustment'
+        ? 'Points (+ to add, - to remove)'
+        : 'Points redeemed'
+}
+
+// Re-render selects and the ledger table (card catalog or data changed)
+export function renderLedger() {
+    const cards = getCardList()
+    const { transactions, entries } = getData()
+
+    ;['ledgerCard', 'ledgerCardFilter'].forEach(id => {
+        const select = document.getElementById(id)
+        if (!select) return
+        const selected = select.value
+        select.innerHTML = (id === 'ledgerCardFilter' ? '<option value="all">All cards</option>' : '') +
+            cards.map(card => `<option value="${card.id}">${escapeHtml(card.name)}</option>`).join('')
+        if ([...select.options].some(o => o.value === selected)) select.value = selected
+    })
+
+    const filter = document.getElementById('ledgerCardFilter').value
+    const rows = buildLedger(transactions, entries)
+        .filter(row => filter === 'all' || row.card === filter)
+        .reverse()
+
+    const container = document.getElementById('ledgerContainer')
+    if (rows.length === 0) {
+        container.innerHTML = '<div class="empty-state">No points activity yet.</div>'
+        return
+    }
+
+    container.innerHTML = `
+        <table class="statement-table ledger-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Card</th>
+                    <th>Entry</th>
+                    <th style="text-align: right">Points</th>
+                    <th style="text-align: right">Balance</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="ledger-${row.kind}">
+                        <td>${formatDate(row.date)} ${row.date.slice(0, 4)}</td>
+                        <td><span class="card-tag ${getCardTheme(row.card)}">${escapeHtml(getCardName(row.card))}</span></td>
+                        <td>${escapeHtml(row.label)}</td>
+                        <td style="text-align: right" class="${row.points < 0 ? 'points-burned' : 'points-earned'}">${row.points > 0 ? '+' : ''}${row.points.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right">${row.balance.toLocaleString('en-IN')}</td>
+                        <td>${row.id ? `<button class="delete-btn" data-id="${row.id}">×</button>` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+
+    container.querySelectorAll('.delete-btn').forEach(btn => {
+        btn.addEventListener('click', () => handleLedgerDelete(btn.dataset.id))
+    })
+}
+
+async function handleLedgerSubmit(e) {
+    e.preventDefault()
+
+    const type = document.getElementById('ledgerType').value
+    const points = parseInt(document.getElementById('ledgerPoints').value, 10)
+    if (!points || (type !== 'adjustment' && points < 0)) {
+        alert('Enter the number of points redeemed.')
+        return
+    }
+
+    const entry = {
+        card: document.getElementById('ledgerCard').value,
+        type,
+        route: document.getElementById('ledgerRoute').value || type,
+        points,
+        date: document.getElementById('ledgerDate').value,
+        description: document.getElementById('ledgerDescription').value
+    }
+    const partnerPoints = parseInt(document.getElementById('ledgerPartnerPoints').value, 10)
+    if (type === 'transfer' && partnerPoints) {
+        entry.partnerPoints = partnerPoints
+    }
+
+    const submitBtn = e.target.querySelector('button[type="submit"]')
+    submitBtn.disabled = true
+    try {
+        await addLedgerEntry(entry)
+    } catch (error) {
+        console.error('Error adding ledger entry:', error)
+    } finally {
+        submitBtn.disabled = false
+    }
+
+    document.getElementById('ledgerPoints').value = ''
+    document.getElementById('ledgerPartnerPoints').value = ''
+    document.getElementById('ledgerDescription').value = ''
+    onChange()
+}
+
+async function handleLedgerDelete(id) {
+    if (confirm('Delete this ledger entry?')) {
+        await deleteLedgerEntry(id)
+        onChange()
+    }
+}
@@ -0,0 +1,216 @@
+// Local persistence - IndexedDB with an in-memory mirror
+//
+// Everything is read into memory when the app starts, so reads stay
+// synchronous; writes update the mirror at once and are written through to
+// IndexedDB in the background. Transactions and ledger entries are stored
+// one record per item (only changed items are written), everything else
+// (settings, the sync queue, conflicts) as one value per key. Browsers
+// without IndexedDB fall back to localStorage.
+
+const DB_NAME = 'amexPointsTracker'
+
+// IndexedDB structure version - bump with a new step in upgradeDatabase
+const DB_VERSION = 1
+
+// Keys stored one record per item, and their object stores
+const RECORD_STORES = {
+    amexTransactions: 'transactions',
+    amexLedger: 'ledger'
+}
+const VALUE_STORE = 'values'
+
+// Keys the app used in localStorage before IndexedDB (a plain key for
+// signed-out data, `key:uid` for each account)
+const LEGACY_KEY_PATTERN = /^(amexTransactions|amexLedger|amexSettings|amexPendingOps|amexSyncConflicts)(?::(.+))?$/
+const LEGACY_IMPORTED = 'localStorageImported'
+
+let database = null
+const cache = new Map()
+
+function cacheKey(key, account) {
+    return account ? `${key}:${account}` : key
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve()
+        tx.onerror = () => reject(tx.error)
+        tx.onabort = () => reject(tx.error)
+    })
+}
+
+// Records are { account, id, data }, keyed by [account, id]; '' is the
+// signed-out account. Indexes let history be queried by date, card or
+// category within an account.
+function upgradeDatabase(db, oldVersion) {
+    if (oldVersion < 1) {
+        Object.values(RECORD_STORES).forEach(name => {
+            const store = db.createObjectStore(name, { keyPath: ['account', 'id'] })
+            store.createIndex('account', 'account')
+            store.createIndex('date', ['account', 'data.date'])
+            store.createIndex('card', ['account', 'data.card'])
+            store.createIndex('category', ['account', 'data.category'])
+        })
+        db.createObjectStore(VALUE_STORE)
+    }
+}
+
+// Open the database and load it into memory. Call once before anything
+// reads local data.
+export async function openLocalStore() {
+    if (typeof indexedDB === 'undefined') return
+
+    try {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+        request.onupgradeneeded = (e) => upgradeDatabase(request.result, e.oldVersion)
+        database = await requestToPromise(request)
+
+        await loadAll()
+        await importLegacyStorage()
+    } catch (error) {
+        console.error('IndexedDB unavailable, using localStorage:', error)
+        database = null
+        cache.clear()
+    }
+}
+
+async function loadAll() {
+    const storeNames = [...Object.values(RECORD_STORES), VALUE_STORE]
+    const tx = database.transaction(storeNames, 'readonly')
+
+    for (const [key, storeName] of Object.entries(RECORD_STORES)) {
+        const records = await requestToPromise(tx.objectStore(storeName).getAll())
+        records.forEach(record => {
+            const listKey = cacheKey(key, record.account)
+            if (!cache.has(listKey)) cache.set(listKey, [])
+            cache.get(listKey).push(record.data)
+        })
+    }
+
+    const valueStore = tx.objectStore(VALUE_STORE)
+    const [keys, values] = await Promise.all([
+        requestToPromise(valueStore.getAllKeys()),
+        requestToPromise(valueStore.getAll())
+    ])
+    keys.forEach((key, i) => cache.set(key, values[i]))
+
+    // Newest first, as the app keeps them
+    Object.keys(RECORD_STORES).forEach(key => {
+        cache.forEach((list, listKey) => {
+            if (listKey === key || listKey.startsWith(key + ':')) {
+                list.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+            }
+        })
+    })
+}
+
+// Move data saved by earlier versions from localStorage, once
+async function importLegacyStorage() {
+    if (cache.get(LEGACY_IMPORTED)) return
+
+    const legacyKeys = []
+    for (let i = 0; i < localStorage.length; i++) {
+        const match = localStorage.key(i).match(LEGACY_KEY_PATTERN)
+        if (match) legacyKeys.push(match)
+    }
+
+    for (const [storageKey, key, account] of legacyKeys) {
+        try {
+            const value = JSON.parse(localStorage.getItem(storageKey))
+            await persist(key, value, account || null, [])
+            cache.set(storageKey, value)
+        } catch (error) {
+            console.error(`Could not import ${storageKey}:`, error)
+        }
+    }
+
+    await persist(LEGACY_IMPORTED, true, null)
+    cache.set(LEGACY_IMPORTED, true)
+    legacyKeys.forEach(([storageKey]) => localStorage.removeItem(storageKey))
+}
+
+// Write a value through to IndexedDB (undefined deletes it). Record lists
+// only write the items that differ from `previous`.
+function persist(key, value, account, previous) {
+    const storeName = RECORD_STORES[key]
+    if (!storeName) {
+        const tx = database.transaction(VALUE_STORE, 'readwrite')
+        if (value === undefined) {
+            tx.objectStore(VALUE_STORE).delete(cacheKey(key, account))
+        } else {
+            tx.objectStore(VALUE_STORE).put(value, cacheKey(key, account))
+        }
+        return transactionDone(tx)
+    }
+
+    const tx = database.transaction(storeName, 'readwrite')
+    const store = tx.objectStore(storeName)
+    const accountKey = account || ''
+    const before = new Map((previous || []).map(item => [item.id, JSON.stringify(item)]))
+
+    value.forEach(item => {
+        if (before.get(item.id) !== JSON.stringify(item)) {
+            store.put({ account: accountKey, id: item.id, data: item })
+        }
+        before.delete(item.id)
+    })
+    before.forEach((_, id) => store.delete([accountKey, id]))
+    return transactionDone(tx)
+}
+
+// Read a value (a list for record keys); `fallback` when nothing is stored
+export function readLocal(key, account, fallback) {
+    if (!database) {
+        try {
+            const data = localStorage.getItem(cacheKey(key, account))
+            return data ? JSON.parse(data) : fallback
+        } catch {
+            return fallback
+        }
+    }
+
+    // Copies, so callers can change what they read before writing it back
+    const value = cache.get(cacheKey(key, account))
+    if (value === undefined) return fallback
+    return Array.isArray(value) ? [...value] : structuredClone(value)
+}
+
+export function writeLocal(key, value, account) {
+    if (!database) {
+        try {
+            localStorage.setItem(cacheKey(key, account), JSON.stringify(value))
+        } catch (error) {
+            console.error('Error saving to localStorage:', error)
+        }
+        return
+    }
+
+    // Stored as plain JSON, as Firestore values (e.g. Timestamps) would be
+    // in localStorage
+    const plain = JSON.parse(JSON.stringify(value))
+    const previous = cache.get(cacheKey(key, account))
+    cache.set(cacheKey(key, account), plain)
+    persist(key, plain, account, previous).catch(error => {
+        console.error('Error saving to IndexedDB:', error)
+    })
+}
+
+export function removeLocal(key, account) {
+    if (!database) {
+        localStorage.removeItem(cacheKey(key, account))
+        return
+    }
+
+    const previous = cache.get(cacheKey(key, account))
+    cache.delete(cacheKey(key, account))
+    persist(key, RECORD_STORES[key] ? [] : undefined, account, previous).catch(error => {
+        console.error('Error removing from IndexedDB:', error)
+    })
+}
@@ -3,6 +3,7 @@ import './style.css'
 import { isFirebaseConfigured } from './firebase.js'
 import { signInWithGoogle, signOut, onAuthChange, getCurrentUser } from './auth.js'
 import { initApp, startTransactionSync, stopTransactionSync } from './app.js'
+import { openLocalStore } from './localstore.js'
 
 // DOM elements
 const authContainer = document.getElementById('authContainer')
@@ -21,9 +22,6 @@ if (!firebaseReady) {
     offlineBadge?.classList.remove('hidden')
 }
 
-// Initialize the app
-initApp()
-
 // Auth state handler
 function handleAuthState(user) {
     if (user) {
@@ -44,7 +42,7 @@ function handleAuthState(user) {
         }
 
         // Start real-time sync
-        startTransactionSync()
+        startTransactionSync(user)
     } else {
         // User is signed out
         if (firebaseReady) {
@@ -61,8 +59,11 @@ function handleAuthState(user) {
     }
 }
 
-// Set up auth state listener
-onAuthChange(handleAuthState)
+// Initialize the app once the local copy has loaded, then listen for auth state
+openLocalStore().then(() => {
+    initApp()
+    onAuthChange(handleAuthState)
+})
 
 // Sign in button
 signInBtn?.addEventListener('click', async () => {
@@ -0,0 +1,233 @@
+// Merchant rules - map descriptions to categories, learned from past entries
+import { getSetting, saveSetting } from './db.js'
+import { guessCategory } from './statement.js'
+import { CATEGORIES, escapeHtml } from './format.js'
+
+const RULES_SETTING = 'merchantRules'
+
+// Transactions a merchant needs before its category is learned from history
+const MIN_LEARN_COUNT = 2
+
+let getTransactions = () => []
+let categoryTouched = false
+
+// Rules are { id, pattern, category, learned }. A pattern matches anywhere
+// in a description, ignoring case; `learned` rules were added by the app
+// and become yours once edited.
+export function getMerchantRules() {
+    return getSetting(RULES_SETTING, [])
+}
+
+function saveMerchantRules(rules) {
+    return saveSetting(RULES_SETTING, rules)
+}
+
+function newRuleId() {
+    return 'rule-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+}
+
+// Merchant name a rule is learned under: the first word of the description,
+// or the first two when the first is short (e.g. "air india", "ola cabs")
+export function getMerchantKey(description) {
+    const words = String(description || '')
+        .toLowerCase()
+        .replace(/[^a-z&' ]+/g, ' ')
+        .split(' ')
+        .filter(Boolean)
+    if (words.length === 0) return ''
+    return words[0].length <= 3 && words[1] ? `${words[0]} ${words[1]}` : words[0]
+}
+
+// Rule for a description: the longest matching pattern, your own rules
+// before learned ones
+export function findRule(description, rules = getMerchantRules()) {
+    const text = String(description || '').toLowerCase()
+    if (!text.trim()) return null
+    return rules
+        .filter(rule => rule.pattern && text.includes(rule.pattern))
+        .sort((a, b) => b.pattern.length - a.pattern.length || Number(a.learned) - Number(b.learned))[0] || null
+}
+
+// Category for a description - merchant rules first, then the built-in
+// keyword guess
+export function categorize(description, rules = getMerchantRules()) {
+    return findRule(description, rules)?.category || guessCategory(description)
+}
+
+// Rules learned from past transactions: merchants with at least
+// MIN_LEARN_COUNT entries get their most common category. Your own rules are
+// kept as they are.
+export function learnRules(transactions, rules = getMerchantRules()) {
+    const merchants = {}
+    transactions.forEach(t => {
+        const key = getMerchantKey(t.description)
+        if (!key) return
+        merchants[key] = merchants[key] || {}
+        merchants[key][t.category] = (merchants[key][t.category] || 0) + 1
+    })
+
+    const learned = [...rules]
+    Object.entries(merchants).forEach(([pattern, counts]) => {
+        const total = Object.values(counts).reduce((sum, n) => sum + n, 0)
+        if (total < MIN_LEARN_COUNT) return
+        const [category] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0]
+
+        const index = learned.findIndex(rule => rule.pattern === pattern)
+        if (index === -1) {
+            learned.push({ id: newRuleId(), pattern, category, learned: true })
+        } else if (learned[index].learned) {
+            learned[index] = { ...learned[index], category }
+        }
+    })
+    return learned
+}
+
+// Remember the category picked for a new transaction's merchant, unless a
+// rule of yours already covers it
+export async function learnFromTransaction(transaction) {
+    const pattern = getMerchantKey(transaction.description)
+    if (!pattern) return
+
+    const rules = getMerchantRules()
+    const rule = findRule(transaction.description, rules)
+    if (rule && (!rule.learned || rule.category === transaction.category)) return
+
+    const existing = rules.find(r => r.pattern === pattern)
+    if (existing && !existing.learned) return
+    await saveMerchantRules(existing
+        ? rules.map(r => (r === existing ? { ...r, category: transaction.category } : r))
+        : [...rules, { id: newRuleId(), pattern, category: transaction.category, learned: true }])
+}
+
+export function setupMerchantRules(options) {
+    getTransactions = options.getTransactions
+
+    // Pre-fill the category while a description is typed, until the
+    // category is picked by hand
+    document.getElementById('description')?.addEventListener('input', handleDescriptionInput)
+    document.getElementById('category')?.addEventListener('change', () => {
+        categoryTouched = true
+        document.getElementById('categoryHint').textContent = ''
+    })
+
+    document.getElementById('merchantRulesBtn')?.addEventListener('click', openRules)
+    document.getElementById('merchantRulesCloseBtn')?.addEventListener('click', closeRules)
+    const list = document.getElementById('merchantRulesList')
+    list?.addEventListener('change', handleRuleChange)
+    list?.addEventListener('click', handleRuleClick)
+    document.getElementById('learnRulesBtn')?.addEventListener('click', handleLearn)
+}
+
+function handleDescriptionInput(e) {
+    // Foreign spend stays International
+    if (categoryTouched || document.getElementById('currency')?.value) return
+
+    const description = e.target.value
+    const rule = findRule(description)
+    const category = rule ? rule.category : guessCategory(description)
+    const hint = document.getElementById('categoryHint')
+    if (!rule && category === 'other') {
+        hint.textContent = ''
+        return
+    }
+    document.getElementById('category').value = category
+    hint.textContent = rule ? `From rule "${rule.pattern}"` : 'Guessed from description'
+}
+
+// Let the next transaction's category be pre-filled again
+export function resetCategoryHint() {
+    categoryTouched = false
+    const hint = document.getElementById('categoryHint')
+    if (hint) hint.textContent = ''
+}
+
+function openRules() {
+    document.getElementById('merchantRulesModal').classList.remove('hidden')
+    renderMerchantRules()
+}
+
+function closeRules() {
+    document.getElementById('merchantRulesModal').classList.add('hidden')
+}
+
+export function renderMerchantRules() {
+    const modal = document.getElementById('merchantRulesModal')
+    if (!modal || modal.classList.contains('hidden')) return
+
+    const container = document.getElementById('merchantRulesList')
+    if (container.contains(document.activeElement)) return
+
+    const categoryOptions = (selected) => Object.entries(CATEGORIES)
+        .map(([id, name]) => `<option value="${id}" ${id === selected ? 'selected' : ''}>${name}</option>`)
+        .join('')
+
+    const rules = [...getMerchantRules()].sort((a, b) => a.pattern.localeCompare(b.pattern))
+    container.innerHTML = `
+        ${rules.length ? `
+            <table class="statement-table">
+                <thead>
+                    <tr>
+                        <th>Description contains</th>
+                        <th>Category</th>
+                        <th>Source</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rules.map(rule => `
+                        <tr data-rule="${rule.id}">
+                            <td><input type="text" data-field="pattern" value="${escapeHtml(rule.pattern)}"></td>
+                            <td><select data-field="category">${categoryOptions(rule.category)}</select></td>
+                            <td>${rule.learned ? 'Learned' : 'Yours'}</td>
+                            <td><button class="delete-btn" data-action="remove-rule" title="Remove rule">×</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<div class="empty-state">No merchant rules yet. Rules are learned as you add transactions, or add your own.</div>'}
+        <button class="btn-secondary btn-small" data-action="add-rule">+ Add rule</button>
+    `
+}
+
+async function handleRuleChange(e) {
+    const field = e.target.dataset.field
+    const id = e.target.closest('[data-rule]')?.dataset.rule
+    if (!field || !id) return
+
+    const value = field === 'pattern' ? e.target.value.trim().toLowerCase() : e.target.value
+    if (!value) {
+        alert('Enter the text to look for in descriptions.')
+        document.activeElement?.blur()
+        renderMerchantRules()
+        return
+    }
+    // Edited rules are yours, so learning no longer changes them
+    await saveMerchantRules(getMerchantRules().map(r => (r.id === id ? { ...r, [field]: value, learned: false } : r)))
+    renderMerchantRules()
+}
+
+async function handleRuleClick(e) {
+    const action = e.target.closest('[data-action]')?.dataset.action
+    if (action === 'add-rule') {
+        const rule = { id: newRuleId(), pattern: 'new merchant', category: 'other', learned: false }
+        await saveMerchantRules([...getMerchantRules(), rule])
+    } else if (action === 'remove-rule') {
+        const id = e.target.closest('[data-rule]').dataset.rule
+        await saveMerchantRules(getMerchantRules().filter(r => r.id !== id))
+    } else {
+        return
+    }
+    document.activeElement?.blur()
+    renderMerchantRules()
+}
+
+async function handleLearn() {
+    const rules = getMerchantRules()
+    const learned = learnRules(getTransactions(), rules)
+    const added = learned.length - rules.length
+    await saveMerchantRules(learned)
+    renderMerchantRules()
+    alert(added > 0
+        ? `Learned ${added.toLocaleString('en-IN')} new merchant rules from your transactions`
+        : 'No new merchants to learn - each needs at least two transactions')
+}
@@ -0,0 +1,82 @@
+// Sign-in migration - move data saved while signed out into the account
+import {
+    getGuestData,
+    clearGuestData,
+    importLedgerEntries,
+    getSetting,
+    saveSetting
+} from './db.js'
+import { importWithReview } from './duplicates.js'
+import { formatWriteResult } from './format.js'
+
+let getAccountData = () => ({ transactions: [], entries: [] })
+let onChange = () => {}
+
+// Data on this device that the account does not have yet, compared by id
+// (ids are kept when a transaction is synced, so these never reached it)
+export function getLocalOnlyData(guest, account) {
+    const transactionIds = new Set(account.transactions.map(t => t.id))
+    const entryIds = new Set(account.entries.map(e => e.id))
+    return {
+        transactions: guest.transactions.filter(t => !transactionIds.has(t.id)),
+        entries: guest.ledger.filter(e => !entryIds.has(e.id))
+    }
+}
+
+export function setupMigration(options) {
+    getAccountData = options.getAccountData
+    onChange = options.onChange
+
+    document.getElementById('migrateAddBtn')?.addEventListener('click', handleMigrate)
+    document.getElementById('migrateLaterBtn')?.addEventListener('click', closeModal)
+    document.getElementById('migrateDiscardBtn')?.addEventListener('click', handleDiscard)
+}
+
+// Offer to move signed-out data into the account; call once the account's
+// transactions have loaded after sign-in
+export function offerGuestData() {
+    const { transactions, entries } = getLocalOnlyData(getGuestData(), getAccountData())
+    if (transactions.length === 0 && entries.length === 0) return
+
+    const parts = []
+    if (transactions.length) parts.push(`${transactions.length.toLocaleString('en-IN')} transactions`)
+    if (entries.length) parts.push(`${entries.length.toLocaleString('en-IN')} ledger entries`)
+    document.getElementById('migrateSummary').textContent =
+        `This device has ${parts.join(' and ')} saved while you were signed out that are not in your account yet.`
+    document.getElementById('migrateModal').classList.remove('hidden')
+}
+
+function closeModal() {
+    document.getElementById('migrateModal').classList.add('hidden')
+}
+
+async function handleMigrate() {
+    const guest = getGuestData()
+    const { transactions, entries } = getLocalOnlyData(guest, getAccountData())
+    closeModal()
+
+    // Duplicates against the account are reviewed like any other import
+    const result = await importWithReview(transactions)
+    if (result === null) return
+
+    if (entries.length > 0) {
+        await importLedgerEntries(entries)
+    }
+
+    // Carry over settings (cards, point values...) the account has not set
+    for (const [name, value] of Object.entries(guest.settings)) {
+        if (getSetting(name) === null) {
+            await saveSetting(name, value)
+        }
+    }
+
+    clearGuestData()
+    onChange()
+    alert(formatWriteResult(result, 'Added to your account:'))
+}
+
+function handleDiscard() {
+    if (!confirm('Delete the data saved on this device while signed out? This cannot be undone.')) return
+    clearGuestData()
+    closeModal()
+}
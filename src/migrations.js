@@ -0,0 +1,85 @@
+// Record migrations - upgrade transactions saved by older versions
+import { calculatePoints } from './rewards.js'
+import { CATEGORIES } from './format.js'
+
+// Version of the transaction record shape. New records are stamped with it;
+// records without a version are version 1.
+export const SCHEMA_VERSION = 2
+
+// Category names used by older versions and hand-edited backups
+const LEGACY_CATEGORIES = {
+    food: 'dining',
+    restaurant: 'dining',
+    restaurants: 'dining',
+    flights: 'travel',
+    hotels: 'travel',
+    grocery: 'groceries',
+    voucher: 'gyftr',
+    vouchers: 'gyftr',
+    giftcards: 'gyftr',
+    gyftrvouchers: 'gyftr',
+    forex: 'international',
+    intl: 'international',
+    foreign: 'international',
+    movies: 'entertainment',
+    petrol: 'fuel',
+    bills: 'utilities',
+    utility: 'utilities'
+}
+
+function parseAmount(value) {
+    if (typeof value === 'number') return value
+    const amount = parseFloat(String(value ?? '').replace(/[₹,\s]/g, ''))
+    return Number.isFinite(amount) ? amount : 0
+}
+
+// Current category id for a stored category. Categories the app doesn't
+// know (custom or misspelt ones) are kept as they are rather than lost.
+function normalizeCategory(category) {
+    if (category == null || category === '') return 'other'
+    const key = String(category).toLowerCase().replace(/[^a-z]/g, '')
+    if (CATEGORIES[key]) return key
+    return LEGACY_CATEGORIES[key] || category
+}
+
+// Each step upgrades a record from the version before it
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Numeric amounts, current category ids and stored points',
+        upgrade: (t) => {
+            const upgraded = { ...t, amount: parseAmount(t.amount), category: normalizeCategory(t.category) }
+            const points = Number(t.points)
+            upgraded.points = t.points !== '' && t.points != null && Number.isFinite(points)
+                ? points
+                : calculatePoints(upgraded)
+            return upgraded
+        }
+    }
+]
+
+export function upgradeTransaction(transaction) {
+    const from = transaction.schemaVersion || 1
+    if (from >= SCHEMA_VERSION) return transaction
+
+    const upgraded = MIGRATIONS
+        .filter(m => m.version > from)
+        .reduce((t, m) => m.upgrade(t), transaction)
+    return { ...upgraded, schemaVersion: SCHEMA_VERSION }
+}
+
+// Changed fields for every transaction that needs upgrading: [{ id, changes }]
+export function getMigrationChanges(transactions) {
+    return transactions
+        .map(t => {
+            const upgraded = upgradeTransaction(t)
+            const changes = {}
+            Object.keys(upgraded).forEach(field => {
+                if (JSON.stringify(upgraded[field]) !== JSON.stringify(t[field])) {
+                    changes[field] = upgraded[field]
+                }
+            })
+            return { id: t.id, changes }
+        })
+        .filter(u => Object.keys(u.changes).length > 0)
+}
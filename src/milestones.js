@@ -0,0 +1,117 @@
+// Membership-year helpers - milestones reset on each card anniversary.
+// Also home to the YYYY-MM-DD date helpers the other modules share.
+
+// Parse YYYY-MM-DD as a local date
+export function parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number)
+    return new Date(year, month - 1, day)
+}
+
+export function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+export function addDays(dateStr, days) {
+    const date = parseDate(dateStr)
+    return toDateString(new Date(date.getFullYear(), date.getMonth(), date.getDate() + days))
+}
+
+export function todayString() {
+    return toDateString(new Date())
+}
+
+// Anniversary in a given year (Feb 29 anniversaries fall on Mar 1 in other years)
+function anniversaryIn(anniversary, year) {
+    const date = parseDate(anniversary)
+    return new Date(year, date.getMonth(), date.getDate())
+}
+
+// Membership year containing a date - { start, end } with end exclusive.
+// Without an anniversary the calendar year is used.
+export function getCardYear(anniversary, dateStr = todayString()) {
+    const date = parseDate(dateStr)
+    const anchor = anniversary || `${date.getFullYear()}-01-01`
+
+    let start = anniversaryIn(anchor, date.getFullYear())
+    if (start > date) {
+        start = anniversaryIn(anchor, date.getFullYear() - 1)
+    }
+    const end = anniversaryIn(anchor, start.getFullYear() + 1)
+
+    return { start: toDateString(start), end: toDateString(end) }
+}
+
+// All membership years from the earliest transaction up to today, newest first
+export function getCardYears(anniversary, transactions) {
+    const current = getCardYear(anniversary)
+    const earliest = transactions.reduce(
+        (min, t) => (t.date && t.date < min ? t.date : min),
+        current.start
+    )
+
+    const years = []
+    let year = current
+    while (year.end > earliest) {
+        years.push(year)
+        const previousDay = parseDate(year.start)
+        previousDay.setDate(previousDay.getDate() - 1)
+        year = getCardYear(anniversary, toDateString(previousDay))
+    }
+    return years
+}
+
+// Closing date of the statement in a month (day clamped to the month's length)
+function statementCloseIn(statementDay, year, month) {
+    const lastDay = new Date(year, month + 1, 0).getDate()
+    return new Date(year, month, Math.min(statementDay, lastDay))
+}
+
+// Statement cycle containing a date - { start, end } with end exclusive, the
+// cycle closing on `statementDay`. Without a statement day the calendar
+// month is used.
+export function getStatementCycle(statementDay, dateStr = todayString()) {
+    const date = parseDate(dateStr)
+    if (!statementDay) {
+        return {
+            start: toDateString(new Date(date.getFullYear(), date.getMonth(), 1)),
+            end: toDateString(new Date(date.getFullYear(), date.getMonth() + 1, 1))
+        }
+    }
+
+    let close = statementCloseIn(statementDay, date.getFullYear(), date.getMonth())
+    if (close < date) {
+        close = statementCloseIn(statementDay, date.getFullYear(), date.getMonth() + 1)
+    }
+    const previousClose = statementCloseIn(statementDay, close.getFullYear(), close.getMonth() - 1)
+
+    const start = new Date(previousClose)
+    start.setDate(start.getDate() + 1)
+    const end = new Date(close)
+    end.setDate(end.getDate() + 1)
+    return { start: toDateString(start), end: toDateString(end) }
+}
+
+export function isInCardYear(transaction, year) {
+    return transaction.date >= year.start && transaction.date < year.end
+}
+
+export function formatCardYear(year) {
+    const format = (dateStr) => parseDate(dateStr)
+        .toLocaleDateString('en-IN', { month: 'short', year: 'numeric' })
+    return `${format(year.start)} – ${format(year.end)}`
+}
+
+// Bonus earned and the next milestone for a membership year's spend. Only
+// the highest milestone reached pays its bonus; milestones don't stack.
+export function getMilestoneStatus(milestones, spend) {
+    let bonus = 0
+    let next = null
+    for (const milestone of milestones) {
+        if (spend >= milestone.spend) {
+            bonus = milestone.bonusPoints
+        } else if (!next) {
+            next = milestone
+        }
+    }
+    return { bonus, next }
+}
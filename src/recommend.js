@@ -0,0 +1,179 @@
+// "Which card should I use?" - compare cards for a planned purchase
+import { addTransaction } from './db.js'
+import { CARDS, getCardList, calculatePoints, calculateBonusPoints, getMilestones, getRuleVersion } from './rewards.js'
+import { getCardYear, isInCardYear, getMilestoneStatus, todayString } from './milestones.js'
+import { getCardPointValue } from './valuation.js'
+import { categorize } from './merchants.js'
+import { isCardClosed } from './cards.js'
+import { CATEGORIES, formatCategory, escapeHtml } from './format.js'
+
+let getTransactions = () => []
+let onLogged = () => {}
+let lastPurchase = null
+
+// Points and bonus impact of putting a purchase on a card today
+export function evaluateCard(cardId, purchase, transactions) {
+    const card = CARDS[cardId]
+    const transaction = { ...purchase, card: cardId, date: todayString() }
+    const points = calculatePoints(transaction)
+
+    const year = getCardYear(card.anniversary, transaction.date)
+    const yearTx = transactions.filter(t => t.card === cardId && isInCardYear(t, year))
+    const spend = yearTx.reduce((sum, t) => sum + t.amount, 0)
+
+    // Bonuses this purchase unlocks outright
+    const cardTx = transactions.filter(t => t.card === cardId)
+    const bonusBefore = calculateBonusPoints(cardId, cardTx, year)
+    const bonusAfter = calculateBonusPoints(cardId, [...cardTx, transaction], year)
+    const unlocked = bonusAfter - bonusBefore
+
+    // Progress towards the next milestone, valued pro rata over the spend
+    // between the previous milestone and the next one
+    const milestones = getMilestones(card, year.start)
+    const { bonus, next } = getMilestoneStatus(milestones, spend)
+    let progressPoints = 0
+    let milestoneNote = ''
+    if (next) {
+        const previous = milestones.filter(m => m.spend < next.spend).pop()
+        const segment = next.spend - (previous ? previous.spend : 0)
+        const newSpend = spend + purchase.amount
+        if (newSpend >= next.spend) {
+            milestoneNote = `Unlocks the ₹${next.spend.toLocaleString('en-IN')} milestone`
+        } else {
+            progressPoints = (next.bonusPoints - bonus) * purchase.amount / segment
+            milestoneNote = `₹${(next.spend - newSpend).toLocaleString('en-IN')} left to ₹${next.spend.toLocaleString('en-IN')} milestone`
+        }
+    }
+
+    // Monthly transaction-count bonuses still open this month
+    const month = transaction.date.slice(0, 7)
+    const monthNotes = getRuleVersion(card, transaction.date).rules
+        .filter(rule => rule.kind === 'monthlyCount' && purchase.amount >= rule.minAmount)
+        .map(rule => {
+            const count = transactions
+                .filter(t => t.card === cardId && t.date.startsWith(month) && t.amount >= rule.minAmount)
+                .length
+            if (count >= rule.count) return ''
+            if (count + 1 >= rule.count) return `Completes ${rule.count} txns this month`
+            progressPoints += rule.bonusPoints / rule.count
+            return `${count + 1}/${rule.count} txns this month`
+        })
+        .filter(Boolean)
+
+    const pointValue = getCardPointValue(cardId)
+    const effectivePoints = points + unlocked + progressPoints
+
+    return {
+        cardId,
+        points,
+        unlocked,
+        progressPoints,
+        effectivePoints,
+        value: effectivePoints * pointValue,
+        notes: [milestoneNote, ...monthNotes].filter(Boolean)
+    }
+}
+
+// Closed accounts are left out
+export function recommendCards(purchase, transactions) {
+    return getCardList()
+        .filter(card => !isCardClosed(card))
+        .map(card => evaluateCard(card.id, purchase, transactions))
+        .sort((a, b) => b.value - a.value)
+}
+
+export function setupRecommender(options) {
+    getTransactions = options.getTransactions
+    onLogged = options.onLogged
+
+    const categorySelect = document.getElementById('recommendCategory')
+    categorySelect.innerHTML = '<option value="">Guess from merchant</option>' +
+        Object.entries(CATEGORIES).map(([id, name]) => `<option value="${id}">${name}</option>`).join('')
+
+    document.getElementById('recommendForm')?.addEventListener('submit', (e) => {
+        e.preventDefault()
+        renderRecommendation(readPurchase())
+    })
+    document.getElementById('recommendResult')?.addEventListener('click', handleLogClick)
+}
+
+function readPurchase() {
+    const amount = parseFloat(document.getElementById('recommendAmount').value)
+    const description = document.getElementById('recommendMerchant').value.trim()
+    const category = document.getElementById('recommendCategory').value || categorize(description)
+    return { amount, category, description }
+}
+
+// Show the comparison; called without a purchase to refresh the last one
+// when transactions or cards change
+export function renderRecommendation(purchase = lastPurchase) {
+    const container = document.getElementById('recommendResult')
+    if (!container) return
+
+    lastPurchase = purchase?.amount > 0 ? purchase : null
+    if (!lastPurchase) {
+        container.innerHTML = ''
+        return
+    }
+
+    const results = recommendCards(purchase, getTransactions())
+
+    container.innerHTML = `
+        <div class="statement-summary">
+            ₹${purchase.amount.toLocaleString('en-IN')} · ${formatCategory(purchase.category)}
+            ${purchase.description ? ` · ${escapeHtml(purchase.description)}` : ''}
+        </div>
+        <table class="statement-table">
+            <thead>
+                <tr>
+                    <th>Card</th>
+                    <th style="text-align: right">Points</th>
+                    <th>Milestone / bonus impact</th>
+                    <th style="text-align: right">Value</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results.map((r, index) => `
+                    <tr class="${index === 0 ? 'recommended' : ''}">
+                        <td>${escapeHtml(CARDS[r.cardId].name)}${index === 0 ? ' <span class="best-tag">Best</span>' : ''}</td>
+                        <td style="text-align: right" class="points-earned ${r.points === 0 ? 'zero' : ''}">${r.points.toLocaleString('en-IN')}</td>
+                        <td>
+                            ${r.unlocked ? `<strong>+${r.unlocked.toLocaleString('en-IN')} bonus pts</strong><br>` : ''}
+                            ${r.progressPoints ? `≈ ${Math.round(r.progressPoints).toLocaleString('en-IN')} pts of milestone progress<br>` : ''}
+                            <span class="milestone-text">${r.notes.join(' · ') || '-'}</span>
+                        </td>
+                        <td style="text-align: right">₹${Math.round(r.value).toLocaleString('en-IN')}</td>
+                        <td><button class="btn-small log-btn" data-card="${r.cardId}">Log on this card</button></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+}
+
+async function handleLogClick(e) {
+    const button = e.target.closest('.log-btn')
+    if (!button || !lastPurchase) return
+
+    const transaction = {
+        card: button.dataset.card,
+        amount: lastPurchase.amount,
+        category: lastPurchase.category,
+        date: todayString(),
+        description: lastPurchase.description
+    }
+    transaction.points = calculatePoints(transaction)
+
+    button.disabled = true
+    try {
+        await addTransaction(transaction)
+    } catch (error) {
+        console.error('Error logging transaction:', error)
+    }
+
+    renderRecommendation(null)
+    document.getElementById('recommendAmount').value = ''
+    document.getElementById('recommendMerchant').value = ''
+    onLogged()
+}
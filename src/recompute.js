@@ -0,0 +1,93 @@
+// Recompute stored points against the current (effective-dated) reward rules
+import { patchTransactions } from './db.js'
+import { calculatePoints } from './rewards.js'
+import { getCardName } from './cards.js'
+import { formatDate, formatWriteResult, escapeHtml } from './format.js'
+
+let getTransactions = () => []
+let onApplied = () => {}
+let pendingChanges = []
+
+export function setupRecompute(options) {
+    getTransactions = options.getTransactions
+    onApplied = options.onApplied
+
+    document.getElementById('recomputeBtn')?.addEventListener('click', () => openRecompute())
+    document.getElementById('recomputeCancelBtn')?.addEventListener('click', closeModal)
+    document.getElementById('recomputeApplyBtn')?.addEventListener('click', handleApply)
+}
+
+// Transactions whose stored points differ from what the rules give today
+export function getPointChanges(transactions) {
+    return transactions
+        .map(t => ({ transaction: t, oldPoints: t.points || 0, newPoints: calculatePoints(t) }))
+        .filter(c => c.oldPoints !== c.newPoints)
+}
+
+// Show the diff of changed points. With `onlyIfChanged` nothing is shown
+// when every stored value is already correct.
+export function openRecompute(onlyIfChanged = false) {
+    pendingChanges = getPointChanges(getTransactions())
+    if (pendingChanges.length === 0) {
+        if (!onlyIfChanged) alert('All stored points match the current reward rules.')
+        return
+    }
+
+    const delta = pendingChanges.reduce((sum, c) => sum + c.newPoints - c.oldPoints, 0)
+
+    document.getElementById('recomputeSummary').textContent =
+        `${pendingChanges.length} transactions change by ${delta > 0 ? '+' : ''}${delta.toLocaleString('en-IN')} points in total.`
+
+    document.getElementById('recomputeDiff').innerHTML = `
+        <table class="statement-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Card</th>
+                    <th>Description</th>
+                    <th style="text-align: right">Amount</th>
+                    <th style="text-align: right">Stored</th>
+                    <th style="text-align: right">Recomputed</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${pendingChanges.map(({ transaction: t, oldPoints, newPoints }) => `
+                    <tr>
+                        <td>${formatDate(t.date)}</td>
+                        <td>${escapeHtml(getCardName(t.card))}</td>
+                        <td>${escapeHtml(t.description) || '-'}</td>
+                        <td style="text-align: right">₹${t.amount.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right" class="points-old">${oldPoints.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right" class="points-earned">${newPoints.toLocaleString('en-IN')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+
+    document.getElementById('recomputeModal').classList.remove('hidden')
+}
+
+function closeModal() {
+    document.getElementById('recomputeModal').classList.add('hidden')
+    pendingChanges = []
+}
+
+async function handleApply() {
+    const applyBtn = document.getElementById('recomputeApplyBtn')
+    applyBtn.disabled = true
+
+    try {
+        const result = await patchTransactions(pendingChanges.map(c => ({
+            id: c.transaction.id,
+            changes: { points: c.newPoints }
+        })))
+        if (result.pending || result.failed) {
+            alert(formatWriteResult(result, 'Recomputed points on'))
+        }
+        closeModal()
+        onApplied()
+    } finally {
+        applyBtn.disabled = false
+    }
+}
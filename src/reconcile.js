@@ -0,0 +1,296 @@
+// Statement reconciliation - computed points per statement cycle against
+// what Amex reported, with likely causes and adjustments to close the gap
+import { addLedgerEntry, getSetting, saveSetting } from './db.js'
+import { CARDS, getCardList, calculatePoints, calculateRawPoints } from './rewards.js'
+import { getStatementCycle, addDays, todayString } from './milestones.js'
+import { getBonusEvents } from './ledger.js'
+import { saveCardCatalog } from './cards.js'
+import { formatDate, escapeHtml } from './format.js'
+
+const REPORTED_SETTING = 'reportedPoints'
+
+// Days a transaction can take to post; spends this close to a statement
+// date may land on the next statement
+export const POSTING_DAYS = 3
+
+// Cycles shown, most recent first
+const CYCLES_SHOWN = 12
+
+let getData = () => ({ transactions: [], entries: [] })
+let onChange = () => {}
+let selectedCard = null
+
+// Points Amex reported, per card and statement date:
+// { [cardId]: { [YYYY-MM-DD]: points } }
+export function getReportedPoints() {
+    return getSetting(REPORTED_SETTING, {})
+}
+
+function saveReportedPoints(cardId, closeDate, points) {
+    const reported = getReportedPoints()
+    const cardReported = { ...reported[cardId] }
+    if (points === null) delete cardReported[closeDate]
+    else cardReported[closeDate] = points
+    return saveSetting(REPORTED_SETTING, { ...reported, [cardId]: cardReported })
+}
+
+// Statement cycles from the one holding `from` to the one holding `to`,
+// newest first: [{ start, end, close }] with `end` exclusive and `close`
+// the statement date
+export function getCycles(statementDay, from, to) {
+    const cycles = []
+    let cycle = getStatementCycle(statementDay, from)
+    while (cycle.start <= to) {
+        cycles.unshift({ ...cycle, close: addDays(cycle.end, -1) })
+        cycle = getStatementCycle(statementDay, cycle.end)
+    }
+    return cycles
+}
+
+function sumPoints(transactions) {
+    return transactions.reduce((sum, t) => sum + (t.points || 0), 0)
+}
+
+// Computed and reported points for one cycle of a card. `entries` are the
+// card's ledger entries; adjustments recorded against the cycle close the gap.
+export function reconcileCycle(cycle, cardTx, bonusEvents, entries, reported) {
+    const inCycle = (date) => date >= cycle.start && date < cycle.end
+    const transactions = cardTx.filter(t => inCycle(t.date))
+    const bonus = bonusEvents.filter(e => inCycle(e.date)).reduce((sum, e) => sum + e.points, 0)
+    const adjustments = entries
+        .filter(e => e.type === 'adjustment' && e.cycle === cycle.close)
+        .reduce((sum, e) => sum + e.points, 0)
+    const computed = sumPoints(transactions) + bonus
+
+    return {
+        ...cycle,
+        transactions,
+        bonus,
+        computed,
+        adjustments,
+        reported: reported ?? null,
+        difference: reported == null ? null : reported - computed - adjustments
+    }
+}
+
+// Likely reasons for the gap between reported and computed points, each
+// { label, points } with the points it could account for
+export function explainDifference(result, cardTx) {
+    const causes = []
+    const gap = result.difference
+    if (!gap) return causes
+
+    // Amex rounds down once per statement, the app once per transaction
+    const raw = result.transactions.reduce((sum, t) => sum + calculateRawPoints(t), 0)
+    const perTransaction = result.transactions.reduce((sum, t) => sum + calculatePoints(t), 0)
+    const rounding = Math.floor(raw) - perTransaction
+    if (gap > 0 && rounding > 0) {
+        causes.push({
+            label: `Rounding: points are rounded down on each transaction here, but Amex rounds once on the statement total, which gives up to ${rounding.toLocaleString('en-IN')} more`,
+            points: rounding
+        })
+    }
+
+    // Stored points that no longer match the card's rules
+    const stale = result.transactions.reduce((sum, t) => sum + calculatePoints(t) - (t.points || 0), 0)
+    if (stale !== 0 && Math.sign(stale) === Math.sign(gap)) {
+        causes.push({
+            label: `Stored points differ from the current rules by ${stale.toLocaleString('en-IN')} - try Recompute Points`,
+            points: stale
+        })
+    }
+
+    // Posting dates: late spends post on the next statement, and spends
+    // just before the cycle may have posted on this one
+    const lateTx = result.transactions.filter(t => t.date > addDays(result.close, -POSTING_DAYS))
+    const earlyTx = cardTx.filter(t => t.date < result.start && t.date >= addDays(result.start, -POSTING_DAYS))
+    if (gap < 0 && sumPoints(lateTx) > 0) {
+        causes.push({
+            label: `Posting dates: ${lateTx.length} transactions in the last ${POSTING_DAYS} days (${sumPoints(lateTx).toLocaleString('en-IN')} pts) may post on the next statement`,
+            points: -sumPoints(lateTx)
+        })
+    }
+    if (gap > 0 && sumPoints(earlyTx) > 0) {
+        causes.push({
+            label: `Posting dates: ${earlyTx.length} transactions from the ${POSTING_DAYS} days before this cycle (${sumPoints(earlyTx).toLocaleString('en-IN')} pts) may have posted on this statement`,
+            points: sumPoints(earlyTx)
+        })
+    }
+
+    // Bonuses are credited separately, often a statement or two later
+    if (gap < 0 && result.bonus > 0) {
+        causes.push({
+            label: `Bonus timing: ${result.bonus.toLocaleString('en-IN')} bonus points are counted here but Amex often credits them on a later statement`,
+            points: -result.bonus
+        })
+    }
+
+    if (causes.length === 0) {
+        causes.push({
+            label: gap > 0
+                ? 'Transactions missing from the tracker, e.g. add-on card spend or a Gyftr purchase not entered yet'
+                : 'Refunds or reversals on the statement, or transactions entered twice',
+            points: gap
+        })
+    }
+    return causes
+}
+
+// Reconciliation for the last CYCLES_SHOWN cycles of a card, newest first
+export function reconcileCard(cardId, transactions, entries, today = todayString()) {
+    const card = CARDS[cardId]
+    if (!card) return []
+
+    const cardTx = transactions.filter(t => t.card === cardId)
+    const cardEntries = entries.filter(e => e.card === cardId)
+    const reported = getReportedPoints()[cardId] || {}
+    const earliest = [...cardTx.map(t => t.date), ...Object.keys(reported)].sort()[0] || today
+    const bonusEvents = getBonusEvents(cardId, transactions)
+
+    return getCycles(card.statementDay, earliest, today)
+        .slice(0, CYCLES_SHOWN)
+        .map(cycle => {
+            const result = reconcileCycle(cycle, cardTx, bonusEvents, cardEntries, reported[cycle.close])
+            return { ...result, causes: explainDifference(result, cardTx) }
+        })
+}
+
+export function setupReconcile(options) {
+    getData = options.getData
+    onChange = options.onChange
+
+    document.getElementById('reconcileCard')?.addEventListener('change', (e) => {
+        selectedCard = e.target.value
+        renderReconcile()
+    })
+    document.getElementById('reconcileStatementDay')?.addEventListener('change', handleStatementDayChange)
+    const container = document.getElementById('reconcileContainer')
+    container?.addEventListener('change', handleReportedChange)
+    container?.addEventListener('click', handleAdjustClick)
+}
+
+async function handleStatementDayChange(e) {
+    const day = parseInt(e.target.value, 10)
+    const statementDay = day >= 1 && day <= 31 ? day : null
+    const cards = getCardList().map(card =>
+        card.id === selectedCard ? { ...card, statementDay } : card
+    )
+    await saveCardCatalog(cards)
+}
+
+async function handleReportedChange(e) {
+    const close = e.target.dataset.close
+    if (!close) return
+    const value = e.target.value.trim()
+    const points = value === '' ? null : parseInt(value, 10)
+    if (points !== null && !Number.isFinite(points)) return
+    await saveReportedPoints(selectedCard, close, points)
+    document.activeElement?.blur()
+    renderReconcile()
+}
+
+// Record the remaining gap as a manual adjustment dated on the statement
+async function handleAdjustClick(e) {
+    const button = e.target.closest('[data-action="adjust"]')
+    if (!button) return
+
+    const points = Number(button.dataset.points)
+    const close = button.dataset.close
+    if (!confirm(`Add a manual adjustment of ${points > 0 ? '+' : ''}${points.toLocaleString('en-IN')} points for the statement of ${formatDate(close)} ${close.slice(0, 4)}?`)) return
+
+    button.disabled = true
+    try {
+        await addLedgerEntry({
+            card: selectedCard,
+            type: 'adjustment',
+            route: 'adjustment',
+            points,
+            date: close,
+            description: `Statement reconciliation (${formatDate(close)} ${close.slice(0, 4)})`,
+            cycle: close
+        })
+    } catch (error) {
+        console.error('Error adding adjustment:', error)
+    } finally {
+        button.disabled = false
+    }
+    // The clicked button keeps focus, which would hold off the redraw
+    document.activeElement?.blur()
+    onChange()
+}
+
+function formatSigned(points) {
+    return `${points > 0 ? '+' : points < 0 ? '−' : ''}${Math.abs(points).toLocaleString('en-IN')}`
+}
+
+export function renderReconcile() {
+    const container = document.getElementById('reconcileContainer')
+    const select = document.getElementById('reconcileCard')
+    if (!container || !select) return
+    if (container.contains(document.activeElement)) return
+
+    const cards = getCardList()
+    if (!CARDS[selectedCard]) selectedCard = cards[0]?.id || null
+    select.innerHTML = cards
+        .map(card => `<option value="${card.id}">${escapeHtml(card.name)}</option>`)
+        .join('')
+    select.value = selectedCard
+
+    const card = CARDS[selectedCard]
+    const dayInput = document.getElementById('reconcileStatementDay')
+    if (document.activeElement !== dayInput) dayInput.value = card?.statementDay || ''
+    if (!card) {
+        container.innerHTML = ''
+        return
+    }
+
+    const { transactions, entries } = getData()
+    const cycles = reconcileCard(selectedCard, transactions, entries)
+    container.innerHTML = `
+        <table class="statement-table reconcile-table">
+            <thead>
+                <tr>
+                    <th>Statement</th>
+                    <th style="text-align: right">Transactions</th>
+                    <th style="text-align: right">Computed</th>
+                    <th style="text-align: right">Adjusted</th>
+                    <th style="text-align: right">Amex reported</th>
+                    <th style="text-align: right">Difference</th>
+                    <th>Likely causes</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${cycles.map(c => `
+                    <tr class="${c.difference ? 'reconcile-gap' : ''}">
+                        <td>
+                            ${formatDate(c.close)} ${c.close.slice(0, 4)}
+                            <span class="reconcile-period">${formatDate(c.start)} – ${formatDate(c.close)}</span>
+                        </td>
+                        <td style="text-align: right">${c.transactions.length.toLocaleString('en-IN')}</td>
+                        <td style="text-align: right">
+                            ${c.computed.toLocaleString('en-IN')}
+                            ${c.bonus ? `<span class="reconcile-period">incl. ${c.bonus.toLocaleString('en-IN')} bonus</span>` : ''}
+                        </td>
+                        <td style="text-align: right">${c.adjustments ? formatSigned(c.adjustments) : '-'}</td>
+                        <td style="text-align: right">
+                            <input type="number" step="1" data-close="${c.close}" value="${c.reported ?? ''}" placeholder="Points" aria-label="Points reported for ${formatDate(c.close)}">
+                        </td>
+                        <td style="text-align: right" class="${c.difference ? 'reconcile-difference' : ''}">
+                            ${c.difference === null ? '-' : c.difference === 0 ? '✓' : formatSigned(c.difference)}
+                        </td>
+                        <td>
+                            ${c.causes.length ? `
+                                <ul class="reconcile-causes">
+                                    ${c.causes.map(cause => `<li>${escapeHtml(cause.label)}</li>`).join('')}
+                                </ul>
+                                <button class="btn-small btn-secondary" data-action="adjust" data-close="${c.close}" data-points="${c.difference}">
+                                    Record ${formatSigned(c.difference)} pts adjustment
+                                </button>
+                            ` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+}
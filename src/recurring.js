@@ -0,0 +1,350 @@
+// Recurring transactions - templates that add entries on a schedule
+import { addTransaction, getSetting, saveSetting } from './db.js'
+import { calculatePoints, getCardList } from './rewards.js'
+import { getCardName, getInstance, isInstanceOpen } from './cards.js'
+import { parseDate, toDateString, todayString } from './milestones.js'
+import { CATEGORIES, formatCategory, formatDate, escapeHtml } from './format.js'
+
+const RECURRING_SETTING = 'recurring'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const FREQUENCIES = {
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    yearly: 'Yearly'
+}
+
+let getAllTransactions = () => []
+let onChange = () => {}
+let editingId = null
+let generating = null
+
+// Same day of the month `months` later, clamped to the month's length
+function addMonths(date, months, day) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate()
+    return new Date(date.getFullYear(), date.getMonth() + months, Math.min(day, lastDay))
+}
+
+// Recurrences are { id, card, cardInstance, amount, category, description,
+// tags, frequency, startDate, endDate, paused, lastGenerated }. The start date is the first
+// occurrence and sets the day they repeat on.
+export function getRecurrences() {
+    return getSetting(RECURRING_SETTING, [])
+}
+
+function saveRecurrences(recurrences) {
+    return saveSetting(RECURRING_SETTING, recurrences)
+}
+
+// The nth occurrence (0 = the start date)
+function getOccurrence(recurrence, n) {
+    const start = parseDate(recurrence.startDate)
+    switch (recurrence.frequency) {
+        case 'weekly':
+            return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * n)
+        case 'yearly':
+            return addMonths(start, 12 * n, start.getDate())
+        default:
+            return addMonths(start, n, start.getDate())
+    }
+}
+
+// Occurrence dates from `from` to `to` (inclusive, YYYY-MM-DD)
+export function getOccurrences(recurrence, from, to) {
+    const dates = []
+    for (let n = 0; ; n++) {
+        const date = toDateString(getOccurrence(recurrence, n))
+        if (date > to) break
+        if (date >= from) dates.push(date)
+    }
+    return dates
+}
+
+// Occurrences that have passed and have not been added yet
+export function getDueDates(recurrence, today = todayString()) {
+    if (recurrence.paused) return []
+    const to = recurrence.endDate && recurrence.endDate < today ? recurrence.endDate : today
+    return getOccurrences(recurrence, recurrence.startDate, to)
+        .filter(date => !recurrence.lastGenerated || date > recurrence.lastGenerated)
+}
+
+// Next occurrence still to be added (null once the recurrence has ended)
+export function getNextDate(recurrence, today = todayString()) {
+    const yesterday = toDateString(new Date(parseDate(today).getTime() - DAY_MS))
+    const after = recurrence.lastGenerated > yesterday ? recurrence.lastGenerated : yesterday
+    for (let n = 0; ; n++) {
+        const date = toDateString(getOccurrence(recurrence, n))
+        if (recurrence.endDate && date > recurrence.endDate) return null
+        if (date > after) return date
+    }
+}
+
+export function isEnded(recurrence, today = todayString()) {
+    return Boolean(recurrence.endDate && recurrence.endDate < today)
+}
+
+function ordinal(day) {
+    const suffix = day % 10 === 1 && day !== 11 ? 'st'
+        : day % 10 === 2 && day !== 12 ? 'nd'
+            : day % 10 === 3 && day !== 13 ? 'rd'
+                : 'th'
+    return day + suffix
+}
+
+export function describeSchedule(recurrence) {
+    const start = parseDate(recurrence.startDate)
+    switch (recurrence.frequency) {
+        case 'weekly':
+            return `Weekly on ${start.toLocaleDateString('en-IN', { weekday: 'long' })}`
+        case 'yearly':
+            return `Yearly on ${formatDate(recurrence.startDate)}`
+        default:
+            return `Monthly on the ${ordinal(start.getDate())}`
+    }
+}
+
+// Generated entries carry the recurrence id, and their id is derived from
+// it and the date so a second device generating the same entry writes the
+// same document instead of a duplicate
+export function createEntry(recurrence, date) {
+    const transaction = {
+        id: `${recurrence.id}-${date}`,
+        card: recurrence.card,
+        cardInstance: recurrence.cardInstance || null,
+        amount: recurrence.amount,
+        category: recurrence.category,
+        date,
+        description: recurrence.description,
+        recurringId: recurrence.id
+    }
+    if (recurrence.tags?.length) transaction.tags = recurrence.tags
+    transaction.points = calculatePoints(transaction)
+    return transaction
+}
+
+// Add every entry that has fallen due since the app last ran. Returns the
+// number of entries added.
+export function generateDueTransactions() {
+    if (!generating) {
+        generating = runGeneration().finally(() => {
+            generating = null
+        })
+    }
+    return generating
+}
+
+async function runGeneration() {
+    const existingIds = new Set(getAllTransactions().map(t => t.id))
+    const recurrences = getRecurrences()
+    let added = 0
+
+    const updated = []
+    for (const recurrence of recurrences) {
+        const dates = getDueDates(recurrence)
+        const instance = getInstance(recurrence.card, recurrence.cardInstance)
+        for (const date of dates) {
+            // Nothing is charged to a card after it closes
+            if (instance && !isInstanceOpen(instance, date)) continue
+            const entry = createEntry(recurrence, date)
+            if (existingIds.has(entry.id)) continue
+            await addTransaction(entry)
+            added++
+        }
+        updated.push(dates.length ? { ...recurrence, lastGenerated: dates[dates.length - 1] } : recurrence)
+    }
+
+    if (updated.some((r, i) => r !== recurrences[i])) {
+        await saveRecurrences(updated)
+    }
+    return added
+}
+
+// Start repeating a transaction; its date is the first occurrence
+export async function createRecurrence(transaction, frequency) {
+    const recurrence = {
+        id: 'recurring-' + Date.now().toString(36),
+        card: transaction.card,
+        cardInstance: transaction.cardInstance || null,
+        amount: transaction.amount,
+        category: transaction.category,
+        description: transaction.description,
+        tags: transaction.tags || [],
+        frequency,
+        startDate: transaction.date,
+        endDate: null,
+        paused: false,
+        lastGenerated: null
+    }
+    await saveRecurrences([...getRecurrences(), recurrence])
+    return generateDueTransactions()
+}
+
+export function setupRecurring(options) {
+    getAllTransactions = options.getAllTransactions
+    onChange = options.onChange
+
+    document.getElementById('recurringBtn')?.addEventListener('click', openRecurring)
+    document.getElementById('recurringCloseBtn')?.addEventListener('click', closeRecurring)
+    document.getElementById('recurringList')?.addEventListener('click', handleListClick)
+    document.getElementById('recurringForm')?.addEventListener('submit', handleEditSubmit)
+    document.getElementById('recurringCancelEditBtn')?.addEventListener('click', () => {
+        editingId = null
+        renderRecurring()
+    })
+}
+
+function openRecurring() {
+    editingId = null
+    document.getElementById('recurringModal').classList.remove('hidden')
+    renderRecurring()
+}
+
+function closeRecurring() {
+    document.getElementById('recurringModal').classList.add('hidden')
+}
+
+// Re-render the recurring list while it is open
+export function renderRecurring() {
+    const modal = document.getElementById('recurringModal')
+    if (!modal || modal.classList.contains('hidden')) return
+
+    const recurrences = getRecurrences()
+    const container = document.getElementById('recurringList')
+    if (recurrences.length === 0) {
+        container.innerHTML = '<div class="empty-state">No recurring transactions. Choose a repeat option when adding a transaction to create one.</div>'
+    } else {
+        container.innerHTML = `
+            <table class="statement-table">
+                <thead>
+                    <tr>
+                        <th>Description</th>
+                        <th>Card</th>
+                        <th>Category</th>
+                        <th style="text-align: right">Amount</th>
+                        <th>Schedule</th>
+                        <th>Next</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${recurrences.map(r => {
+                        const ended = isEnded(r)
+                        const next = getNextDate(r)
+                        return `
+                            <tr class="${ended || r.paused ? 'skipped' : ''}">
+                                <td>${escapeHtml(r.description) || '-'}</td>
+                                <td>${escapeHtml(getCardName(r.card))}</td>
+                                <td>${formatCategory(r.category)}</td>
+                                <td style="text-align: right">₹${r.amount.toLocaleString('en-IN')}</td>
+                                <td>${describeSchedule(r)}</td>
+                                <td>${ended ? 'Ended' : r.paused ? 'Paused' : next ? `${formatDate(next)} ${next.slice(0, 4)}` : '-'}</td>
+                                <td class="row-actions">
+                                    ${ended ? `
+                                        <button class="btn-small btn-danger" data-action="remove" data-id="${r.id}">Remove</button>
+                                    ` : `
+                                        <button class="btn-small btn-secondary" data-action="edit" data-id="${r.id}">Edit</button>
+                                        <button class="btn-small btn-secondary" data-action="${r.paused ? 'resume' : 'pause'}" data-id="${r.id}">${r.paused ? 'Resume' : 'Pause'}</button>
+                                        <button class="btn-small btn-danger" data-action="end" data-id="${r.id}">End</button>
+                                    `}
+                                </td>
+                            </tr>
+                        `
+                    }).join('')}
+                </tbody>
+            </table>
+        `
+    }
+
+    renderEditForm(recurrences.find(r => r.id === editingId))
+}
+
+function renderEditForm(recurrence) {
+    const form = document.getElementById('recurringForm')
+    form.classList.toggle('hidden', !recurrence)
+    if (!recurrence) return
+
+    form.elements.recurringCard.innerHTML = getCardList()
+        .map(card => `<option value="${card.id}">${escapeHtml(card.name)}</option>`)
+        .join('')
+    form.elements.recurringCategory.innerHTML = Object.entries(CATEGORIES)
+        .map(([id, name]) => `<option value="${id}">${name}</option>`)
+        .join('')
+    form.elements.recurringFrequency.innerHTML = Object.entries(FREQUENCIES)
+        .map(([id, name]) => `<option value="${id}">${name}</option>`)
+        .join('')
+
+    form.elements.recurringCard.value = recurrence.card
+    form.elements.recurringAmount.value = recurrence.amount
+    form.elements.recurringCategory.value = recurrence.category
+    form.elements.recurringDescription.value = recurrence.description || ''
+    form.elements.recurringFrequency.value = recurrence.frequency
+    form.elements.recurringStart.value = recurrence.startDate
+    form.elements.recurringEnd.value = recurrence.endDate || ''
+}
+
+async function updateRecurrence(id, changes) {
+    await saveRecurrences(getRecurrences().map(r => (r.id === id ? { ...r, ...changes } : r)))
+}
+
+async function handleListClick(e) {
+    const button = e.target.closest('[data-action]')
+    if (!button) return
+    const { action, id } = button.dataset
+    const yesterday = toDateString(new Date(Date.now() - DAY_MS))
+
+    if (action === 'edit') {
+        editingId = id
+    } else if (action === 'pause') {
+        await updateRecurrence(id, { paused: true })
+    } else if (action === 'resume') {
+        // Occurrences missed while paused are skipped, not added now
+        const recurrence = getRecurrences().find(r => r.id === id)
+        const lastGenerated = recurrence.lastGenerated && recurrence.lastGenerated > yesterday
+            ? recurrence.lastGenerated
+            : yesterday
+        await updateRecurrence(id, { paused: false, lastGenerated })
+        await generateDueTransactions()
+        onChange()
+    } else if (action === 'end') {
+        if (!confirm('Stop this recurring transaction? Entries already added are kept.')) return
+        await updateRecurrence(id, { endDate: yesterday })
+    } else if (action === 'remove') {
+        await saveRecurrences(getRecurrences().filter(r => r.id !== id))
+    }
+    renderRecurring()
+}
+
+// Changes apply to entries added from now on; past entries are left as they are
+async function handleEditSubmit(e) {
+    e.preventDefault()
+    const form = e.target
+    const amount = parseFloat(form.elements.recurringAmount.value)
+    const endDate = form.elements.recurringEnd.value || null
+    if (!(amount > 0)) {
+        alert('Enter an amount.')
+        return
+    }
+    if (endDate && endDate < form.elements.recurringStart.value) {
+        alert('The end date is before the first date.')
+        return
+    }
+
+    const card = form.elements.recurringCard.value
+    const recurrence = getRecurrences().find(r => r.id === editingId)
+    await updateRecurrence(editingId, {
+        card,
+        // Moving to another account charges its primary card
+        cardInstance: card === recurrence.card ? recurrence.cardInstance || null : null,
+        amount,
+        category: form.elements.recurringCategory.value,
+        description: form.elements.recurringDescription.value,
+        frequency: form.elements.recurringFrequency.value,
+        startDate: form.elements.recurringStart.value,
+        endDate
+    })
+    editingId = null
+    await generateDueTransactions()
+    onChange()
+    renderRecurring()
+}
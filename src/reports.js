@@ -0,0 +1,202 @@
+// Reports - CSV/Excel exports of the transaction list and a printable annual summary
+import { getCardList } from './rewards.js'
+import { getCardName, getTransactionInstance, describeInstance } from './cards.js'
+import { formatCardYear } from './milestones.js'
+import { aggregateByCategory } from './aggregate.js'
+import { getCardRoute, getCardPointValue, formatPercent } from './valuation.js'
+import { REDEMPTION_ROUTES } from './ledger.js'
+import { formatCategory, formatRupees, escapeHtml } from './format.js'
+
+const EXPORT_COLUMNS = ['Date', 'Card', 'Card used', 'Category', 'Description', 'Amount', 'Points', 'Tags', 'Currency', 'Foreign amount', 'Exchange rate', 'Forex fee']
+
+// Text cells starting with one of these would run as a formula in a
+// spreadsheet, so they get a leading ' (numbers are left as they are)
+const FORMULA_START = /^[=+\-@\t\r]/
+
+let getTransactions = () => []
+let getFilter = () => 'all'
+let getCardSummary = () => null
+
+// Transactions for the selected card (or 'all') within an optional
+// YYYY-MM-DD date range, oldest first
+export function filterForExport(transactions, { card = 'all', from = '', to = '' } = {}) {
+    return transactions
+        .filter(t => card === 'all' || t.card === card)
+        .filter(t => (!from || t.date >= from) && (!to || t.date <= to))
+        .sort((a, b) => a.date.localeCompare(b.date))
+}
+
+// Header row plus one row per transaction
+export function getExportRows(transactions) {
+    return [
+        EXPORT_COLUMNS,
+        ...transactions.map(t => {
+            const instance = getTransactionInstance(t)
+            return [
+                t.date,
+                getCardName(t.card),
+                instance ? describeInstance(instance) : '',
+                formatCategory(t.category),
+                t.description || '',
+                t.amount,
+                t.points || 0,
+                (t.tags || []).join('; '),
+                t.originalCurrency || '',
+                t.originalAmount ?? '',
+                t.exchangeRate ?? '',
+                t.forexFee ?? ''
+            ]
+        })
+    ]
+}
+
+function escapeCsv(value) {
+    let text = String(value ?? '')
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(rows) {
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')
+}
+
+export function setupReports(options) {
+    getTransactions = options.getTransactions
+    getFilter = options.getFilter
+    getCardSummary = options.getCardSummary
+
+    document.getElementById('reportBtn')?.addEventListener('click', openReports)
+    document.getElementById('reportCloseBtn')?.addEventListener('click', closeReports)
+    document.getElementById('reportCsvBtn')?.addEventListener('click', exportCsv)
+    document.getElementById('reportXlsxBtn')?.addEventListener('click', exportXlsx)
+    document.getElementById('reportPrintBtn')?.addEventListener('click', printSummary)
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-report'))
+}
+
+function openReports() {
+    const filter = getFilter()
+    document.getElementById('reportCard').textContent = filter === 'all' ? 'All cards' : getCardName(filter)
+    document.getElementById('reportModal').classList.remove('hidden')
+}
+
+function closeReports() {
+    document.getElementById('reportModal').classList.add('hidden')
+}
+
+function getSelectedTransactions() {
+    return filterForExport(getTransactions(), {
+        card: getFilter(),
+        from: document.getElementById('reportFrom').value,
+        to: document.getElementById('reportTo').value
+    })
+}
+
+function getFileName(extension) {
+    const filter = getFilter()
+    const card = filter === 'all' ? '' : `-${filter}`
+    return `amex-transactions${card}-${new Date().toISOString().split('T')[0]}.${extension}`
+}
+
+function exportCsv() {
+    const selected = getSelectedTransactions()
+    if (selected.length === 0) {
+        alert('No transactions in this range')
+        return
+    }
+
+    // Byte order mark so Excel opens the ₹ and other non-ASCII text correctly
+    const blob = new Blob(['\uFEFF' + toCsv(getExportRows(selected))], { type: 'text/csv' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = getFileName('csv')
+    a.click()
+    URL.revokeObjectURL(url)
+}
+
+async function exportXlsx() {
+    const selected = getSelectedTransactions()
+    if (selected.length === 0) {
+        alert('No transactions in this range')
+        return
+    }
+
+    try {
+        const XLSX = await import('xlsx')
+        const sheet = XLSX.utils.aoa_to_sheet(getExportRows(selected))
+        const workbook = XLSX.utils.book_new()
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Transactions')
+        XLSX.writeFile(workbook, getFileName('xlsx'))
+    } catch (error) {
+        console.error('Error creating spreadsheet:', error)
+        alert('Could not create the spreadsheet. Please try the CSV export.')
+    }
+}
+
+// One card's section of the annual summary, for the year selected on its
+// summary box
+function renderCardReport(card) {
+    const summary = getCardSummary(card.id)
+    const pointValue = getCardPointValue(card.id)
+    const value = summary.totalPoints * pointValue
+    const categories = Object.entries(aggregateByCategory(summary.cardTx))
+        .sort((a, b) => b[1].amount - a[1].amount)
+
+    return `
+        <section class="report-card">
+            <h2>AMEX ${escapeHtml(card.name)}</h2>
+            <p class="report-period">${summary.year ? `Card year ${formatCardYear(summary.year)}` : 'All time'}</p>
+            <table class="report-table">
+                <thead>
+                    <tr>
+                        <th>Category</th>
+                        <th class="num">Transactions</th>
+                        <th class="num">Spend</th>
+                        <th class="num">Points</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${categories.map(([cat, data]) => `
+                        <tr>
+                            <td>${formatCategory(cat)}</td>
+                            <td class="num">${data.count.toLocaleString('en-IN')}</td>
+                            <td class="num">${formatRupees(data.amount)}</td>
+                            <td class="num">${data.points.toLocaleString('en-IN')}</td>
+                        </tr>
+                    `).join('') || '<tr><td colspan="4">No transactions</td></tr>'}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td>Total</td>
+                        <td class="num">${summary.cardTx.length.toLocaleString('en-IN')}</td>
+                        <td class="num">${formatRupees(summary.spend)}</td>
+                        <td class="num">${summary.basePoints.toLocaleString('en-IN')}</td>
+                    </tr>
+                </tfoot>
+            </table>
+            <dl class="report-totals">
+                <dt>Points earned</dt><dd>${summary.basePoints.toLocaleString('en-IN')}</dd>
+                <dt>Milestone &amp; monthly bonuses</dt><dd>${summary.bonusPoints.toLocaleString('en-IN')}</dd>
+                <dt>Total points</dt><dd>${summary.totalPoints.toLocaleString('en-IN')}</dd>
+                <dt>Valued at (${escapeHtml(REDEMPTION_ROUTES[getCardRoute(card.id)].name)})</dt>
+                <dd>${formatRupees(Math.round(value))}</dd>
+                <dt>Effective return</dt><dd>${formatPercent(summary.spend ? value / summary.spend * 100 : 0)}</dd>
+            </dl>
+        </section>
+    `
+}
+
+function printSummary() {
+    const filter = getFilter()
+    const cards = getCardList().filter(card => filter === 'all' || card.id === filter)
+
+    document.getElementById('printReport').innerHTML = `
+        <h1>Amex Points Summary</h1>
+        <p class="report-period">Generated ${new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}</p>
+        ${cards.map(renderCardReport).join('')}
+    `
+
+    closeReports()
+    document.body.classList.add('printing-report')
+    window.print()
+}
@@ -0,0 +1,284 @@
+// Reward rule engine - card catalog and points calculation
+import { formatCategory } from './format.js'
+import { getMilestoneStatus, todayString } from './milestones.js'
+
+// Rule kinds. Each kind describes the fields it needs (used by the card
+// editor), how to describe itself, and either a per-transaction effect
+// (`multiplier` / `excludes`) or a bonus over one `period` ('month' or
+// 'cardYear') of transactions.
+export const RULE_KINDS = {
+    multiplier: {
+        label: 'Category multiplier',
+        fields: ['categories', 'multiplier'],
+        defaults: { categories: [], multiplier: 2 },
+        describe: (rule) => `${rule.multiplier}X ${rule.categories.map(formatCategory).join(', ')}`,
+        multiplier: (rule, transaction) =>
+            rule.categories.includes(transaction.category) ? rule.multiplier : null
+    },
+    exclusion: {
+        label: 'No points on',
+        fields: ['categories'],
+        defaults: { categories: [] },
+        describe: (rule) => `No points on ${rule.categories.map(formatCategory).join(', ')}`,
+        excludes: (rule, transaction) => rule.categories.includes(transaction.category)
+    },
+    monthlyCount: {
+        label: 'Monthly transaction bonus',
+        fields: ['count', 'minAmount', 'bonusPoints'],
+        defaults: { count: 4, minAmount: 1500, bonusPoints: 1000 },
+        period: 'month',
+        describe: (rule) =>
+            `${rule.bonusPoints.toLocaleString('en-IN')} pts for ${rule.count} txns of ₹${rule.minAmount.toLocaleString('en-IN')}+ a month`,
+        bonus: (rule, transactions) => {
+            const count = transactions.filter(t => t.amount >= rule.minAmount).length
+            return count >= rule.count ? rule.bonusPoints : 0
+        }
+    },
+    milestone: {
+        label: 'Spend milestone',
+        fields: ['spend', 'bonusPoints'],
+        defaults: { spend: 100000, bonusPoints: 5000 },
+        period: 'cardYear',
+        describe: (rule) =>
+            `${rule.bonusPoints.toLocaleString('en-IN')} pts at ₹${rule.spend.toLocaleString('en-IN')} a card year`,
+        bonus: (rule, transactions) => {
+            const spend = transactions.reduce((sum, t) => sum + t.amount, 0)
+            return spend >= rule.spend ? rule.bonusPoints : 0
+        }
+    }
+}
+
+// Editable rule fields
+export const RULE_FIELDS = {
+    categories: { label: 'Categories', type: 'categories' },
+    multiplier: { label: 'Multiplier', type: 'number', step: 0.5 },
+    count: { label: 'Transactions', type: 'number', step: 1 },
+    minAmount: { label: 'Min amount (₹)', type: 'number', step: 100 },
+    bonusPoints: { label: 'Bonus points', type: 'number', step: 500 },
+    spend: { label: 'Spend (₹)', type: 'number', step: 10000 }
+}
+
+const NO_POINTS = { kind: 'exclusion', categories: ['fuel', 'insurance', 'utilities'] }
+
+// Cards a new user starts with. Templates list a single set of rules;
+// stored cards keep a history of rule versions (see normalizeCard).
+export const DEFAULT_CARDS = [
+    {
+        id: 'metal',
+        name: 'Charge Metal',
+        theme: 'metal',
+        spendPerPoint: 40,
+        rules: [
+            { kind: 'multiplier', categories: ['international'], multiplier: 3 },
+            { kind: 'multiplier', categories: ['gyftr'], multiplier: 5 },
+            NO_POINTS
+        ]
+    },
+    {
+        id: 'travel',
+        name: 'Platinum Travel',
+        theme: 'travel',
+        spendPerPoint: 50,
+        rules: [
+            { kind: 'multiplier', categories: ['gyftr'], multiplier: 3 },
+            NO_POINTS,
+            { kind: 'milestone', spend: 190000, bonusPoints: 15000 },
+            { kind: 'milestone', spend: 400000, bonusPoints: 25000 }
+        ]
+    }
+]
+
+// Other cards that can be added from the card editor
+export const CARD_TEMPLATES = [
+    ...DEFAULT_CARDS,
+    {
+        id: 'mrcc',
+        name: 'Membership Rewards Credit Card',
+        theme: 'mrcc',
+        spendPerPoint: 50,
+        rules: [
+            { kind: 'multiplier', categories: ['gyftr'], multiplier: 3 },
+            NO_POINTS,
+            { kind: 'monthlyCount', count: 4, minAmount: 1500, bonusPoints: 1000 }
+        ]
+    },
+    {
+        id: 'gold',
+        name: 'Gold Charge',
+        theme: 'gold',
+        spendPerPoint: 50,
+        rules: [
+            { kind: 'multiplier', categories: ['gyftr'], multiplier: 3 },
+            NO_POINTS,
+            { kind: 'monthlyCount', count: 6, minAmount: 1000, bonusPoints: 1000 }
+        ]
+    }
+]
+
+// Current card catalog, keyed by card id
+export const CARDS = {}
+
+export function setCardCatalog(cards) {
+    Object.keys(CARDS).forEach(id => delete CARDS[id])
+    cards.forEach(card => {
+        CARDS[card.id] = normalizeCard(card)
+    })
+}
+
+// Cards carry `versions`: the earn rate and rules with the date they took
+// effect from (null for the first version). Cards saved before rules were
+// versioned have a single top-level `spendPerPoint` and `rules`.
+// They also carry `instances`, the physical cards on the account (see
+// cards.js); cards saved before that get a single primary card.
+export function normalizeCard(card) {
+    let normalized = card
+    if (!card.versions) {
+        const { spendPerPoint, rules, ...rest } = card
+        normalized = {
+            ...rest,
+            versions: [{ effectiveFrom: null, spendPerPoint, rules }]
+        }
+    }
+    if (!normalized.instances) {
+        normalized = { ...normalized, instances: [createPrimaryInstance(normalized.id)] }
+    }
+    return normalized
+}
+
+// The id is derived from the account so every device upgrading the same
+// card names its primary card the same way
+export function createPrimaryInstance(cardId) {
+    return { id: `${cardId}-primary`, nickname: '', last4: '', addOn: false, openedOn: null, closedOn: null }
+}
+
+// Rule version in force on a date (YYYY-MM-DD)
+export function getRuleVersion(card, date = todayString()) {
+    return getSortedVersions(card).reduce((current, version) =>
+        !version.effectiveFrom || version.effectiveFrom <= date ? version : current
+    )
+}
+
+// Versions oldest first
+export function getSortedVersions(card) {
+    return [...card.versions].sort((a, b) =>
+        (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '')
+    )
+}
+
+// Whether any version of the card has a rule of this kind
+export function cardHasRuleKind(card, kind) {
+    return card.versions.some(version => version.rules.some(rule => rule.kind === kind))
+}
+
+export function getCardList() {
+    return Object.values(CARDS)
+}
+
+setCardCatalog(DEFAULT_CARDS)
+
+// Points earned by a single transaction, rounded down as the app records them
+export function calculatePoints(transaction) {
+    return Math.floor(calculateRawPoints(transaction))
+}
+
+// Points before rounding down (used to compare per-transaction rounding
+// with rounding once per statement)
+export function calculateRawPoints(transaction) {
+    const card = CARDS[transaction.card]
+    if (!card) return 0
+
+    // Use the rules that were in force on the transaction date
+    const version = getRuleVersion(card, transaction.date)
+    const rules = version.rules.filter(rule => RULE_KINDS[rule.kind])
+
+    // No points for excluded categories
+    if (rules.some(rule => RULE_KINDS[rule.kind].excludes?.(rule, transaction))) {
+        return 0
+    }
+
+    const multiplier = rules.reduce((best, rule) => {
+        const m = RULE_KINDS[rule.kind].multiplier?.(rule, transaction)
+        return m != null && m > best ? m : best
+    }, 1)
+
+    return transaction.amount / version.spendPerPoint * multiplier
+}
+
+// Milestones are left out - only the highest one reached pays (see
+// getMilestoneStatus)
+function sumBonus(version, period, transactions) {
+    return version.rules
+        .filter(rule => rule.kind !== 'milestone' && RULE_KINDS[rule.kind]?.period === period)
+        .reduce((sum, rule) => sum + RULE_KINDS[rule.kind].bonus(rule, transactions), 0)
+}
+
+// Monthly bonuses over one card's transactions, dated on the transaction
+// that completed them: [{ date, points }]. Months are whole calendar months,
+// even one a card anniversary falls in, and use the rule version in force
+// on their first day.
+export function getMonthlyBonusEvents(cardId, transactions) {
+    const card = CARDS[cardId]
+    if (!card) return []
+
+    const months = {}
+    transactions.forEach(t => {
+        const month = t.date.slice(0, 7)
+        if (!months[month]) months[month] = []
+        months[month].push(t)
+    })
+
+    const events = []
+    Object.entries(months).forEach(([month, monthTx]) => {
+        const version = getRuleVersion(card, `${month}-01`)
+        if (sumBonus(version, 'month', monthTx) === 0) return
+
+        const sorted = [...monthTx].sort((a, b) => a.date.localeCompare(b.date))
+        let previous = 0
+        sorted.forEach((t, index) => {
+            const bonus = sumBonus(version, 'month', sorted.slice(0, index + 1))
+            if (bonus > previous) events.push({ date: t.date, points: bonus - previous })
+            previous = bonus
+        })
+    })
+    return events
+}
+
+// Card-year bonuses (milestones and other card-year rules) for the
+// transactions of one membership year, using the version in force when the
+// year started
+export function calculateYearBonus(cardId, yearTx, yearStart) {
+    const card = CARDS[cardId]
+    if (!card) return 0
+
+    const spend = yearTx.reduce((sum, t) => sum + t.amount, 0)
+    const { bonus } = getMilestoneStatus(getMilestones(card, yearStart), spend)
+    return sumBonus(getRuleVersion(card, yearStart), 'cardYear', yearTx) + bonus
+}
+
+// Bonus points for one membership year ({ start, end }): card-year bonuses
+// on the year's transactions plus the monthly bonuses completed within it.
+// `transactions` are all of the card's, so a month split by the anniversary
+// is counted whole.
+export function calculateBonusPoints(cardId, transactions, year) {
+    const inYear = (date) => date >= year.start && date < year.end
+    const monthlyBonus = getMonthlyBonusEvents(cardId, transactions)
+        .filter(e => inYear(e.date))
+        .reduce((sum, e) => sum + e.points, 0)
+    return monthlyBonus + calculateYearBonus(cardId, transactions.filter(t => inYear(t.date)), year.start)
+}
+
+// Spend milestones of a card on a date, lowest first
+export function getMilestones(card, date) {
+    return getRuleVersion(card, date).rules
+        .filter(rule => rule.kind === 'milestone')
+        .sort((a, b) => a.spend - b.spend)
+}
+
+export function describeRule(rule) {
+    return RULE_KINDS[rule.kind]?.describe(rule) || rule.kind
+}
+
+export function describeCard(card, date) {
+    const version = getRuleVersion(card, date)
+    return [`1 point per ₹${version.spendPerPoint}`, ...version.rules.map(describeRule)].join(' | ')
+}
@@ -0,0 +1,230 @@
+// Amex statement parsing - CSV/XLSX rows to transactions
+import { getCardList } from './rewards.js'
+import { isCardClosed } from './cards.js'
+
+// Header names Amex India uses in its statement downloads
+const HEADER_HINTS = {
+    date: ['date', 'transaction date', 'posting date'],
+    description: ['description', 'details', 'merchant', 'narration'],
+    amount: ['amount', 'amount (inr)', 'amount inr', 'inr amount'],
+    type: ['type', 'debit/credit', 'dr/cr', 'cr/dr', 'transaction type']
+}
+
+// Description keywords used to guess a category
+const CATEGORY_KEYWORDS = {
+    dining: ['swiggy', 'zomato', 'restaurant', 'cafe', 'starbucks', 'dominos', 'pizza', 'eatsure', 'bar ', 'kitchen', 'bistro'],
+    travel: ['makemytrip', 'goibibo', 'cleartrip', 'indigo', 'air india', 'vistara', 'airlines', 'irctc', 'uber', 'ola ', 'hotel', 'marriott', 'taj ', 'yatra', 'ixigo'],
+    shopping: ['amazon', 'flipkart', 'myntra', 'ajio', 'nykaa', 'tata cliq', 'croma', 'reliance digital', 'ikea', 'decathlon'],
+    groceries: ['bigbasket', 'blinkit', 'zepto', 'dmart', 'instamart', 'grofers', 'more retail', 'nature\'s basket', 'jiomart'],
+    entertainment: ['netflix', 'hotstar', 'spotify', 'bookmyshow', 'pvr', 'inox', 'prime video', 'youtube', 'sonyliv'],
+    gyftr: ['gyftr'],
+    fuel: ['petrol', 'fuel', 'hpcl', 'bpcl', 'indian oil', 'iocl', 'shell'],
+    insurance: ['insurance', 'lic ', 'hdfc ergo', 'icici lombard', 'policybazaar', 'acko'],
+    utilities: ['electricity', 'bescom', 'tata power', 'adani', 'airtel', 'jio', 'vodafone', 'broadband', 'gas', 'water bill', 'bbps']
+}
+
+// Parse CSV text into an array of rows (handles quoted fields)
+export function parseCsv(text) {
+    const rows = []
+    let row = []
+    let field = ''
+    let inQuotes = false
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"'
+                i++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                field += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === ',') {
+            row.push(field)
+            field = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += char
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field)
+        rows.push(row)
+    }
+
+    return rows.filter(r => r.some(cell => String(cell).trim() !== ''))
+}
+
+// Read a statement file into { headers, rows }
+export async function readStatementFile(file) {
+    let rows
+    if (/\.xlsx?$/i.test(file.name)) {
+        const XLSX = await import('xlsx')
+        const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true })
+        const sheet = workbook.Sheets[workbook.SheetNames[0]]
+        rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+            .filter(r => r.some(cell => String(cell).trim() !== ''))
+    } else {
+        rows = parseCsv(await file.text())
+    }
+
+    // Statements sometimes carry a few lines of account info above the table,
+    // so use the first row that looks like a header
+    const headerIndex = Math.max(0, rows.findIndex(r =>
+        r.some(cell => HEADER_HINTS.date.includes(normalizeHeader(cell))) &&
+        r.some(cell => HEADER_HINTS.amount.includes(normalizeHeader(cell)))
+    ))
+
+    return {
+        headers: (rows[headerIndex] || []).map(h => String(h).trim()),
+        rows: rows.slice(headerIndex + 1)
+    }
+}
+
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase()
+}
+
+// Key used to remember a mapping for files with the same columns
+export function getHeaderSignature(headers) {
+    return headers.map(normalizeHeader).join('|')
+}
+
+// Card statement rows go to unless another is picked: the first open one
+export function getDefaultStatementCard() {
+    const cards = getCardList()
+    return (cards.find(card => !isCardClosed(card)) || cards[0])?.id || ''
+}
+
+// Guess the column mapping from header names
+export function guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader)
+    const find = (hints) => {
+        const index = normalized.findIndex(h => hints.includes(h))
+        return index === -1 ? '' : index
+    }
+
+    return {
+        date: find(HEADER_HINTS.date),
+        description: find(HEADER_HINTS.description),
+        amount: find(HEADER_HINTS.amount),
+        type: find(HEADER_HINTS.type),
+        dateFormat: 'DMY',
+        creditsAre: 'negative',
+        card: getDefaultStatementCard()
+    }
+}
+
+// Parse a date cell into YYYY-MM-DD
+export function parseStatementDate(value, dateFormat = 'DMY') {
+    if (value instanceof Date) {
+        if (isNaN(value)) return null
+        const local = new Date(value.getTime() - value.getTimezoneOffset() * 60000)
+        return local.toISOString().split('T')[0]
+    }
+
+    const text = String(value).trim()
+    if (!text) return null
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+    if (iso) return toIsoDate(iso[1], iso[2], iso[3])
+
+    const parts = text.match(/^(\d{1,2})[/\-. ](\d{1,2}|[A-Za-z]{3,})[/\-. ](\d{2,4})$/)
+    if (!parts) return null
+
+    let [, first, second, year] = parts
+    if (year.length === 2) year = '20' + year
+
+    if (/[A-Za-z]/.test(second)) {
+        const month = MONTHS.indexOf(second.slice(0, 3).toLowerCase()) + 1
+        if (!month) return null
+        return toIsoDate(year, month, first)
+    }
+
+    return dateFormat === 'MDY'
+        ? toIsoDate(year, first, second)
+        : toIsoDate(year, second, first)
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+function toIsoDate(year, month, day) {
+    month = Number(month)
+    day = Number(day)
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// Parse an amount cell - returns { amount, isCredit } or null
+export function parseStatementAmount(value) {
+    if (typeof value === 'number') {
+        return { amount: Math.abs(value), isCredit: value < 0 }
+    }
+
+    const text = String(value).trim()
+    if (!text) return null
+
+    const isCreditMarked = /\bcr\b|credit/i.test(text)
+    const isNegative = /^-|^\(.*\)$|-$/.test(text.replace(/[₹\s]|inr|rs\.?/gi, ''))
+    const amount = parseFloat(text.replace(/[^0-9.]/g, ''))
+    if (isNaN(amount)) return null
+
+    return { amount, isCredit: isCreditMarked || isNegative }
+}
+
+// Guess a category from the merchant description
+export function guessCategory(description) {
+    const text = ' ' + String(description).toLowerCase() + ' '
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+        if (keywords.some(k => text.includes(k))) {
+            return category
+        }
+    }
+    return 'other'
+}
+
+// Apply a mapping to the raw rows, categorising descriptions with
+// `categorize` (the keyword guess by default).
+// Returns one entry per row: { transaction, skipReason }
+export function mapStatementRows(rows, mapping, categorize = guessCategory) {
+    return rows.map(row => {
+        const date = parseStatementDate(row[mapping.date], mapping.dateFormat)
+        const parsed = parseStatementAmount(row[mapping.amount])
+        const description = mapping.description === '' ? '' : String(row[mapping.description] ?? '').trim()
+
+        if (!date) return { transaction: null, skipReason: 'Unreadable date', raw: row }
+        if (!parsed || parsed.amount === 0) return { transaction: null, skipReason: 'Unreadable amount', raw: row }
+
+        let isCredit = parsed.isCredit
+        if (mapping.type !== '') {
+            isCredit = /cr|credit/i.test(String(row[mapping.type] ?? ''))
+        } else if (mapping.creditsAre === 'positive') {
+            isCredit = !parsed.isCredit
+        }
+
+        const transaction = {
+            card: mapping.card,
+            amount: parsed.amount,
+            category: categorize(description),
+            date,
+            description
+        }
+
+        return {
+            transaction,
+            skipReason: isCredit ? 'Credit / payment' : null,
+            raw: row
+        }
+    })
+}
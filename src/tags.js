@@ -0,0 +1,22 @@
+// Transaction tags - free-form labels such as "work reimbursable" or "trip: Goa 2026"
+
+// Tags from comma-separated text: trimmed, with repeats (ignoring case) dropped
+export function parseTags(text) {
+    const tags = []
+    String(text || '').split(',').forEach(part => {
+        const tag = part.trim().replace(/\s+/g, ' ')
+        if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag)
+    })
+    return tags
+}
+
+export function formatTags(tags) {
+    return (tags || []).join(', ')
+}
+
+// Every tag in use, alphabetically
+export function getAllTags(transactions) {
+    const tags = new Set()
+    transactions.forEach(t => (t.tags || []).forEach(tag => tags.add(tag)))
+    return [...tags].sort((a, b) => a.localeCompare(b))
+}
@@ -0,0 +1,177 @@
+// Trash - undo toast, restore and purge of deleted transactions
+import { getSetting, saveSetting, restoreTransactions, purgeTransactions } from './db.js'
+import { getCardName, getCardTheme } from './cards.js'
+import { formatCategory, formatDate, escapeHtml } from './format.js'
+
+const RETENTION_SETTING = 'trashRetentionDays'
+const DEFAULT_RETENTION_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Days trashed transactions are kept before they are purged (0 = forever)
+export const RETENTION_OPTIONS = [7, 30, 90, 365, 0]
+
+const TOAST_MS = 8000
+
+let getTrash = () => []
+let onChange = () => {}
+let toastTimer = null
+let toastIds = []
+let purging = null
+
+export function isTrashed(transaction) {
+    return Boolean(transaction.deletedAt)
+}
+
+export function getRetentionDays() {
+    return getSetting(RETENTION_SETTING, DEFAULT_RETENTION_DAYS)
+}
+
+// Trashed transactions older than the retention period
+export function getExpired(trash, retentionDays = getRetentionDays(), now = Date.now()) {
+    if (!retentionDays) return []
+    return trash.filter(t => now - new Date(t.deletedAt).getTime() > retentionDays * DAY_MS)
+}
+
+// Purge anything past the retention period; called once per load. A purge
+// already running is shared rather than started again.
+export function purgeExpired() {
+    if (!purging) {
+        const expired = getExpired(getTrash())
+        purging = (expired.length > 0 ? purgeTransactions(expired.map(t => t.id)) : Promise.resolve())
+            .finally(() => {
+                purging = null
+            })
+    }
+    return purging
+}
+
+export function setupTrash(options) {
+    getTrash = options.getTrash
+    onChange = options.onChange
+
+    document.getElementById('trashBtn')?.addEventListener('click', openTrash)
+    document.getElementById('trashCloseBtn')?.addEventListener('click', closeTrash)
+    document.getElementById('trashEmptyBtn')?.addEventListener('click', handleEmptyTrash)
+    document.getElementById('trashRetention')?.addEventListener('change', handleRetentionChange)
+    document.getElementById('trashList')?.addEventListener('click', handleTrashClick)
+    document.getElementById('undoBtn')?.addEventListener('click', handleUndo)
+}
+
+// Toast with an undo button after transactions were moved to the trash
+export function showUndoToast(ids) {
+    const toast = document.getElementById('undoToast')
+    toastIds = ids
+    document.getElementById('undoMessage').textContent = ids.length === 1
+        ? 'Transaction moved to trash'
+        : `${ids.length.toLocaleString('en-IN')} transactions moved to trash`
+    toast.classList.remove('hidden')
+
+    clearTimeout(toastTimer)
+    toastTimer = setTimeout(hideToast, TOAST_MS)
+}
+
+function hideToast() {
+    document.getElementById('undoToast').classList.add('hidden')
+    toastIds = []
+}
+
+async function handleUndo() {
+    const ids = toastIds
+    hideToast()
+    if (ids.length > 0) {
+        await restoreTransactions(ids)
+        onChange()
+    }
+}
+
+function openTrash() {
+    const select = document.getElementById('trashRetention')
+    select.innerHTML = RETENTION_OPTIONS
+        .map(days => `<option value="${days}">${days ? `After ${days} days` : 'Never'}</option>`)
+        .join('')
+    select.value = String(getRetentionDays())
+
+    document.getElementById('trashModal').classList.remove('hidden')
+    renderTrash()
+}
+
+function closeTrash() {
+    document.getElementById('trashModal').classList.add('hidden')
+}
+
+// Re-render the trash view while it is open (data changed)
+export function renderTrash() {
+    const modal = document.getElementById('trashModal')
+    if (!modal || modal.classList.contains('hidden')) return
+
+    const trash = [...getTrash()].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+    const container = document.getElementById('trashList')
+    document.getElementById('trashEmptyBtn').disabled = trash.length === 0
+
+    if (trash.length === 0) {
+        container.innerHTML = '<div class="empty-state">The trash is empty.</div>'
+        return
+    }
+
+    container.innerHTML = `
+        <table class="statement-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Card</th>
+                    <th>Category</th>
+                    <th>Description</th>
+                    <th style="text-align: right">Amount</th>
+                    <th>Deleted</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${trash.map(t => `
+                    <tr>
+                        <td>${formatDate(t.date)}</td>
+                        <td><span class="card-tag ${getCardTheme(t.card)}">${escapeHtml(getCardName(t.card))}</span></td>
+                        <td>${formatCategory(t.category)}</td>
+                        <td>${escapeHtml(t.description) || '-'}</td>
+                        <td style="text-align: right">₹${t.amount.toLocaleString('en-IN')}</td>
+                        <td>${formatDate(t.deletedAt)}</td>
+                        <td class="row-actions">
+                            <button class="btn-small restore-btn" data-id="${t.id}">Restore</button>
+                            <button class="delete-btn purge-btn" data-id="${t.id}" title="Delete permanently">×</button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+}
+
+async function handleTrashClick(e) {
+    const restoreBtn = e.target.closest('.restore-btn')
+    const purgeBtn = e.target.closest('.purge-btn')
+
+    if (restoreBtn) {
+        await restoreTransactions([restoreBtn.dataset.id])
+    } else if (purgeBtn) {
+        if (!confirm('Delete this transaction permanently? This cannot be undone.')) return
+        await purgeTransactions([purgeBtn.dataset.id])
+    } else {
+        return
+    }
+    onChange()
+}
+
+async function handleEmptyTrash() {
+    const ids = getTrash().map(t => t.id)
+    if (ids.length === 0) return
+    if (!confirm(`Permanently delete ${ids.length.toLocaleString('en-IN')} transactions? This cannot be undone.`)) return
+
+    await purgeTransactions(ids)
+    onChange()
+}
+
+async function handleRetentionChange(e) {
+    await saveSetting(RETENTION_SETTING, Number(e.target.value))
+    await purgeExpired()
+    onChange()
+}
@@ -0,0 +1,261 @@
+// Point valuation - rupee value per point and effective return on spend
+import { getSetting, saveSetting } from './db.js'
+import { getCardList } from './rewards.js'
+import { REDEMPTION_ROUTES, getBonusEvents } from './ledger.js'
+import { aggregateByCategory, sumTransactions } from './aggregate.js'
+import { formatCategory, escapeHtml } from './format.js'
+
+const VALUES_SETTING = 'pointValues'
+
+// Default redemption values. Vouchers are valued from their catalog price
+// (points for a voucher worth ₹X), transfers from the MR-to-partner ratio and
+// what a partner point is worth, statement credits directly.
+export const DEFAULT_ROUTE_VALUES = {
+    gold18k: { points: 18000, rupees: 9000 },
+    gold24k: { points: 24000, rupees: 14000 },
+    otherVoucher: { points: 1000, rupees: 500 },
+    marriott: { ratio: 1, partnerValue: 0.6 },
+    hilton: { ratio: 1, partnerValue: 0.3 },
+    airIndia: { ratio: 0.5, partnerValue: 1 },
+    krisflyer: { ratio: 0.5, partnerValue: 1.2 },
+    avios: { ratio: 0.5, partnerValue: 1.2 },
+    emirates: { ratio: 0.5, partnerValue: 1 },
+    etihad: { ratio: 0.5, partnerValue: 1 },
+    qatar: { ratio: 0.5, partnerValue: 1.2 },
+    statementCredit: { rupeesPerPoint: 0.25 }
+}
+
+const VALUE_FIELDS = {
+    voucher: [
+        { field: 'points', label: 'Points', step: 1000 },
+        { field: 'rupees', label: 'Voucher ₹', step: 500 }
+    ],
+    transfer: [
+        { field: 'ratio', label: 'Partner pts per MR pt', step: 0.25 },
+        { field: 'partnerValue', label: '₹ per partner pt', step: 0.05 }
+    ],
+    statementCredit: [
+        { field: 'rupeesPerPoint', label: '₹ per pt', step: 0.05 }
+    ]
+}
+
+let getTransactions = () => []
+
+function getValueSettings() {
+    const saved = getSetting(VALUES_SETTING, {})
+    return {
+        routes: { ...DEFAULT_ROUTE_VALUES, ...saved.routes },
+        cardRoutes: { ...saved.cardRoutes }
+    }
+}
+
+// Rupees one MR point is worth through a redemption route
+export function getPointValue(routeId) {
+    const value = getValueSettings().routes[routeId]
+    const route = REDEMPTION_ROUTES[routeId]
+    if (!value || !route) return 0
+
+    switch (route.type) {
+        case 'voucher':
+            return value.points ? value.rupees / value.points : 0
+        case 'transfer':
+            return value.ratio * value.partnerValue
+        default:
+            return value.rupeesPerPoint || 0
+    }
+}
+
+export function getBestRoute() {
+    return Object.keys(REDEMPTION_ROUTES)
+        .reduce((best, id) => (getPointValue(id) > getPointValue(best) ? id : best))
+}
+
+// Route a card's points are valued at - chosen per card, best route by default
+export function getCardRoute(cardId) {
+    const chosen = getValueSettings().cardRoutes[cardId]
+    return REDEMPTION_ROUTES[chosen] ? chosen : getBestRoute()
+}
+
+export function getCardPointValue(cardId) {
+    return getPointValue(getCardRoute(cardId))
+}
+
+// Rupee value of a transaction's base points
+export function getTransactionValue(transaction) {
+    return (transaction.points || 0) * getCardPointValue(transaction.card)
+}
+
+// Effective return for one card: totals and a per-category breakdown.
+// Bonus points are shared across categories in proportion to spend.
+export function calculateCardReturns(cardId, transactions) {
+    const cardTx = transactions.filter(t => t.card === cardId)
+    const totals = sumTransactions(cardTx)
+    const bonusPoints = getBonusEvents(cardId, transactions).reduce((sum, e) => sum + e.points, 0)
+    const pointValue = getCardPointValue(cardId)
+    const bonusPerRupee = totals.amount ? bonusPoints / totals.amount : 0
+
+    const categories = {}
+    Object.entries(aggregateByCategory(cardTx)).forEach(([cat, data]) => {
+        const points = data.points + data.amount * bonusPerRupee
+        categories[cat] = {
+            amount: data.amount,
+            points,
+            value: points * pointValue,
+            returnPct: data.amount ? (points * pointValue / data.amount) * 100 : 0
+        }
+    })
+
+    const points = totals.points + bonusPoints
+    return {
+        amount: totals.amount,
+        points,
+        value: points * pointValue,
+        returnPct: totals.amount ? (points * pointValue / totals.amount) * 100 : 0,
+        categories
+    }
+}
+
+export function formatPercent(value) {
+    return value.toLocaleString('en-IN', { maximumFractionDigits: 2 }) + '%'
+}
+
+export function setupValuation(options) {
+    getTransactions = options.getTransactions
+
+    document.getElementById('valuationRoutes')?.addEventListener('change', handleRouteValueChange)
+    document.getElementById('valuationReturns')?.addEventListener('change', handleCardRouteChange)
+}
+
+export function renderValuation() {
+    renderReturns()
+    renderRouteValues()
+}
+
+function renderReturns() {
+    const container = document.getElementById('valuationReturns')
+    if (!container) return
+
+    const transactions = getTransactions()
+    const cards = getCardList()
+    const returns = Object.fromEntries(cards.map(card =>
+        [card.id, calculateCardReturns(card.id, transactions)]
+    ))
+
+    const routeOptions = (selected) => Object.entries(REDEMPTION_ROUTES)
+        .map(([id, r]) => `<option value="${id}" ${id === selected ? 'selected' : ''}>${r.name}</option>`)
+        .join('')
+
+    const categories = [...new Set(transactions.map(t => t.category))]
+
+    container.innerHTML = `
+        <table class="statement-table valuation-table">
+            <thead>
+                <tr>
+                    <th>Card</th>
+                    <th>Valued via</th>
+                    <th style="text-align: right">₹ / pt</th>
+                    <th style="text-align: right">Spend</th>
+                    <th style="text-align: right">Points</th>
+                    <th style="text-align: right">Value</th>
+                    <th style="text-align: right">Return</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${cards.map(card => {
+                    const r = returns[card.id]
+                    return `
+                        <tr>
+                            <td>${escapeHtml(card.name)}</td>
+                            <td><select data-card="${card.id}">${routeOptions(getCardRoute(card.id))}</select></td>
+                            <td style="text-align: right">${getCardPointValue(card.id).toFixed(2)}</td>
+                            <td style="text-align: right">₹${r.amount.toLocaleString('en-IN')}</td>
+                            <td style="text-align: right">${Math.round(r.points).toLocaleString('en-IN')}</td>
+                            <td style="text-align: right">₹${Math.round(r.value).toLocaleString('en-IN')}</td>
+                            <td style="text-align: right" class="return-pct">${formatPercent(r.returnPct)}</td>
+                        </tr>
+                    `
+                }).join('')}
+            </tbody>
+        </table>
+        ${categories.length ? `
+            <h3 class="editor-subtitle">Return by category</h3>
+            <table class="statement-table valuation-table">
+                <thead>
+                    <tr>
+                        <th>Category</th>
+                        ${cards.map(card => `<th style="text-align: right">${escapeHtml(card.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${categories.map(cat => `
+                        <tr>
+                            <td>${formatCategory(cat)}</td>
+                            ${cards.map(card => {
+                                const c = returns[card.id].categories[cat]
+                                return `<td style="text-align: right" class="return-pct">${c ? formatPercent(c.returnPct) : '-'}</td>`
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+    `
+}
+
+function renderRouteValues() {
+    const container = document.getElementById('valuationRoutes')
+    if (!container || container.contains(document.activeElement)) return
+
+    const { routes } = getValueSettings()
+    container.innerHTML = `
+        <table class="statement-table valuation-table">
+            <thead>
+                <tr>
+                    <th>Redemption</th>
+                    <th>Value</th>
+                    <th style="text-align: right">₹ per MR pt</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${Object.entries(REDEMPTION_ROUTES).map(([id, route]) => `
+                    <tr>
+                        <td>${route.name}</td>
+                        <td class="route-values">
+                            ${VALUE_FIELDS[route.type].map(f => `
+                                <label class="rule-field">${f.label}
+                                    <input type="number" min="0" step="${f.step}" data-route="${id}" data-field="${f.field}" value="${routes[id][f.field]}">
+                                </label>
+                            `).join('')}
+                        </td>
+                        <td style="text-align: right">${getPointValue(id).toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `
+}
+
+async function handleRouteValueChange(e) {
+    const { route, field } = e.target.dataset
+    if (!route) return
+
+    const saved = getSetting(VALUES_SETTING, {})
+    const routes = { ...saved.routes }
+    routes[route] = { ...DEFAULT_ROUTE_VALUES[route], ...routes[route], [field]: parseFloat(e.target.value) || 0 }
+
+    e.target.blur()
+    await saveSetting(VALUES_SETTING, { ...saved, routes })
+    renderValuation()
+}
+
+async function handleCardRouteChange(e) {
+    const cardId = e.target.dataset.card
+    if (!cardId) return
+
+    const saved = getSetting(VALUES_SETTING, {})
+    await saveSetting(VALUES_SETTING, {
+        ...saved,
+        cardRoutes: { ...saved.cardRoutes, [cardId]: e.target.value }
+    })
+    renderValuation()
+}